@@ -0,0 +1,874 @@
+'use strict';
+
+/**
+ * @file vocabulary manager page for Venustum
+ */
+
+const ENTRIES_REVISION_KEY = 'venustum_entries_revision';
+
+// ============================================================================
+// Types
+// ============================================================================
+
+/**
+ * @typedef {Object} SavedEntry
+ * @property {string} id
+ * @property {string} word
+ * @property {string} [lemma]
+ * @property {string} definition
+ * @property {string} partOfSpeech
+ * @property {string} phonetic
+ * @property {EntryContext[]} contexts - Where the word was met, oldest first
+ * @property {number} createdAt
+ * @property {string[]} [tags]
+ * @property {string} [audio]
+ * @property {string} [note] - Personal note or mnemonic
+ * @property {Meaning[]} [meanings] - Dictionary senses and examples as looked up when saved
+ * @property {number} [updatedAt]
+ * @property {ReviewState} [review]
+ */
+
+/**
+ * @typedef {Object} EntryContext
+ * @property {string} word
+ * @property {string} sentence
+ * @property {string} sourceUrl
+ * @property {string} sourceTitle
+ * @property {number} savedAt
+ */
+
+/**
+ * @typedef {Object} ReviewState
+ * @property {number} ease
+ * @property {number} interval
+ * @property {number} repetitions
+ * @property {number} dueAt
+ * @property {{reviewedAt: number, grade: number, interval: number}[]} history
+ */
+
+/**
+ * @typedef {Object} EntryQuery
+ * @property {string} [search]
+ * @property {string} [partOfSpeech]
+ * @property {string} [domain]
+ * @property {string} [tag]
+ * @property {'newest' | 'oldest' | 'alphabetical' | 'reverse-alphabetical' | 'part-of-speech' | 'source' | 'due'} [sort]
+ * @property {number} [offset]
+ * @property {number} [limit]
+ */
+
+/**
+ * @typedef {Object} Meaning
+ * @property {string} partOfSpeech
+ * @property {{definition: string, example?: string}[]} definitions
+ */
+
+// ============================================================================
+// DOM Elements
+// ============================================================================
+
+const entryCount = document.getElementById('entry-count');
+const searchInput = document.getElementById('search');
+const posFilter = document.getElementById('pos-filter');
+const domainFilter = document.getElementById('domain-filter');
+const tagFilter = document.getElementById('tag-filter');
+const groupBySelect = document.getElementById('group-by');
+const bulkBar = document.getElementById('bulk');
+const selectionCount = document.getElementById('selection-count');
+const selectMatchingBtn = document.getElementById('select-matching-btn');
+const bulkTagInput = document.getElementById('bulk-tag');
+const tagSuggestions = document.getElementById('tag-suggestions');
+const bulkAddTagBtn = document.getElementById('bulk-add-tag-btn');
+const bulkRemoveTagBtn = document.getElementById('bulk-remove-tag-btn');
+const exportFormat = document.getElementById('export-format');
+const bulkExportBtn = document.getElementById('bulk-export-btn');
+const bulkDeleteBtn = document.getElementById('bulk-delete-btn');
+const clearSelectionBtn = document.getElementById('clear-selection-btn');
+const statusBar = document.getElementById('status');
+const selectPage = document.getElementById('select-page');
+const sortButtons = document.querySelectorAll('.sort-btn');
+const entriesBody = document.getElementById('entries');
+const emptyState = document.getElementById('empty-state');
+const noResults = document.getElementById('no-results');
+const pagination = document.getElementById('pagination');
+const prevBtn = document.getElementById('prev-btn');
+const nextBtn = document.getElementById('next-btn');
+const pageInfo = document.getElementById('page-info');
+const pageSizeSelect = document.getElementById('page-size');
+
+/**
+ * Sort orders for each sortable column. Clicking a column again switches
+ * to its next order.
+ * @type {Record<string, EntryQuery['sort'][]>}
+ */
+const COLUMN_SORTS = {
+	word: ['alphabetical', 'reverse-alphabetical'],
+	pos: ['part-of-speech'],
+	source: ['source'],
+	saved: ['newest', 'oldest'],
+	due: ['due'],
+};
+
+/**
+ * Sort orders that keep each grouping's rows together.
+ * @type {Record<string, EntryQuery['sort'][]>}
+ */
+const GROUP_SORTS = {
+	source: ['source'],
+	date: ['newest', 'oldest'],
+};
+
+// ============================================================================
+// State
+// ============================================================================
+
+/** @type {SavedEntry[]} */
+let pageEntries = [];
+let matchedCount = 0;
+let totalCount = 0;
+let page = 0;
+/** @type {EntryQuery['sort']} */
+let sort = 'newest';
+/** @type {Set<string>} */
+let selectedIds = new Set();
+/** @type {string | null} Entry whose details are shown */
+let expandedId = null;
+/** @type {Map<string, Meaning[]>} Live dictionary lookups by headword, made on request */
+const liveMeanings = new Map();
+// Incremented per query so a slow response can't overwrite a newer one
+let queryCounter = 0;
+
+// ============================================================================
+// UI Functions
+// ============================================================================
+
+/**
+ * Renders the current page of entries.
+ */
+function renderEntries() {
+	entryCount.textContent = matchedCount === totalCount
+		? formatCount(totalCount)
+		: `${matchedCount} of ${formatCount(totalCount)}`;
+	
+	emptyState.hidden = totalCount !== 0;
+	noResults.hidden = totalCount === 0 || matchedCount !== 0;
+	entriesBody.parentElement.hidden = matchedCount === 0;
+	
+	let group = null;
+	entriesBody.innerHTML = pageEntries.map(entry => {
+		let html = '';
+		const key = getGroupKey(entry);
+		if (key !== null && key !== group) {
+			group = key;
+			html += createGroupRow(entry);
+		}
+		
+		html += createEntryRow(entry);
+		if (entry.id === expandedId) {
+			html += `<tr class="detail-row"><td colspan="8">${createEntryDetails(entry)}</td></tr>`;
+		}
+		return html;
+	}).join('');
+	
+	renderSortButtons();
+	renderPagination();
+	renderSelection();
+}
+
+/**
+ * Creates a table row for an entry.
+ * @param {SavedEntry} entry
+ * @returns {string} HTML string
+ */
+function createEntryRow(entry) {
+	const dueAt = entry.review?.dueAt ?? entry.createdAt;
+	const context = getLatestContext(entry);
+	const others = entry.contexts.length - 1;
+	
+	return `
+		<tr class="entry-row${entry.id === expandedId ? ' expanded' : ''}" data-id="${entry.id}">
+			<td class="col-select"><input type="checkbox" class="entry-select" aria-label="Select ${escapeHtml(entry.word)}"${selectedIds.has(entry.id) ? ' checked' : ''}></td>
+			<td>
+				<span class="entry-word">${escapeHtml(entry.word)}</span>
+				${entry.lemma && entry.lemma !== entry.word.toLowerCase() ? `<span class="entry-lemma">→ ${escapeHtml(entry.lemma)}</span>` : ''}
+			</td>
+			<td>${entry.partOfSpeech ? `<span class="entry-pos">${escapeHtml(entry.partOfSpeech)}</span>` : ''}</td>
+			<td class="entry-definition">${escapeHtml(truncate(entry.definition || '', 120))}</td>
+			<td>${(entry.tags || []).map(t => `<span class="entry-tag">${escapeHtml(t)}</span>`).join('')}</td>
+			<td class="entry-source" title="${escapeHtml(context?.sourceUrl || '')}">
+				${escapeHtml(truncate(context?.sourceTitle || getHostname(context?.sourceUrl), 40))}
+				${others > 0 ? `<span class="entry-more" title="Also seen in ${others} other context${others === 1 ? '' : 's'}">+${others}</span>` : ''}
+			</td>
+			<td class="entry-date" title="${escapeHtml(new Date(entry.createdAt).toLocaleString())}">${formatDate(entry.createdAt)}</td>
+			<td class="entry-date">${dueAt <= Date.now() ? 'Now' : new Date(dueAt).toLocaleDateString()}</td>
+		</tr>
+	`;
+}
+
+/**
+ * Creates the header row that starts a group of entries.
+ * @param {SavedEntry} entry - First entry of the group
+ * @returns {string} HTML string
+ */
+function createGroupRow(entry) {
+	const count = pageEntries.filter(e => getGroupKey(e) === getGroupKey(entry)).length;
+	
+	let label;
+	if (groupBySelect.value === 'source') {
+		const context = getLatestContext(entry);
+		label = context?.sourceUrl
+			? `<a href="${escapeHtml(context.sourceUrl)}" target="_blank" rel="noopener">${escapeHtml(context.sourceTitle || context.sourceUrl)}</a>`
+			: 'Unknown source';
+	} else {
+		label = escapeHtml(new Date(entry.createdAt).toLocaleDateString(undefined, { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' }));
+	}
+	
+	return `<tr class="group-row"><th colspan="8">${label} <span class="group-count">${count}</span></th></tr>`;
+}
+
+/**
+ * Creates the detail view of an entry with everything stored for it.
+ * @param {SavedEntry} entry
+ * @returns {string} HTML string
+ */
+function createEntryDetails(entry) {
+	const review = entry.review;
+	const field = (label, value) => value
+		? `<dt>${label}</dt><dd>${value}</dd>`
+		: '';
+	
+	return `
+		<div class="detail">
+			<dl class="detail-fields">
+				${field('Headword', escapeHtml(entry.lemma || ''))}
+				${field('Phonetic', escapeHtml(entry.phonetic || ''))}
+				${field('Definition', escapeHtml(entry.definition || ''))}
+				${field('Note', escapeHtml(entry.note || ''))}
+				${field(entry.contexts.length === 1 ? 'Context' : `Contexts (${entry.contexts.length})`, createContextList(entry))}
+				${field('Tags', escapeHtml((entry.tags || []).join(', ')))}
+				${field('Saved', escapeHtml(new Date(entry.createdAt).toLocaleString()))}
+				${field('Updated', entry.updatedAt && entry.updatedAt !== entry.createdAt ? escapeHtml(new Date(entry.updatedAt).toLocaleString()) : '')}
+				${field('Review', review ? escapeHtml(`${review.history.length} reviews, next in ${review.interval} day${review.interval === 1 ? '' : 's'} (${new Date(review.dueAt).toLocaleDateString()}), ease ${review.ease.toFixed(2)}`) : 'Not reviewed yet')}
+			</dl>
+			<div class="detail-actions">
+				<button class="btn btn-secondary detail-play" data-play="word">▶ Word</button>
+				<button class="btn btn-secondary detail-lookup" title="Fetch the current dictionary entry; the saved one is not changed">Look up again</button>
+			</div>
+			<div class="detail-dictionary">
+				${createDictionaryContent(entry.meanings || [], 'No dictionary data was saved with this word.')}
+				<div id="live-dictionary-data">${createLiveDictionaryContent(getHeadword(entry))}</div>
+			</div>
+		</div>
+	`;
+}
+
+/**
+ * Lists every context of an entry, newest first.
+ * @param {SavedEntry} entry
+ * @returns {string} HTML string
+ */
+function createContextList(entry) {
+	if (entry.contexts.length === 0) return '';
+	
+	const items = entry.contexts.map((context, i) => `
+		<li class="detail-context">
+			${context.sentence ? `<div><button class="detail-play" data-play="sentence" data-index="${i}" title="Play sentence">▶</button> ${escapeHtml(context.sentence)}</div>` : ''}
+			<div class="detail-context-meta">
+				${context.sourceUrl ? `<a href="${escapeHtml(context.sourceUrl)}" target="_blank" rel="noopener">${escapeHtml(context.sourceTitle || context.sourceUrl)}</a>` : ''}
+				${escapeHtml(new Date(context.savedAt).toLocaleString())}
+			</div>
+		</li>
+	`).reverse();
+	
+	return `<ul class="detail-contexts">${items.join('')}</ul>`;
+}
+
+/**
+ * Renders dictionary senses with their examples.
+ * @param {Meaning[]} meanings
+ * @param {string} emptyMessage
+ * @returns {string} HTML string
+ */
+function createDictionaryContent(meanings, emptyMessage) {
+	if (meanings.length === 0) {
+		return `<p class="hint">${escapeHtml(emptyMessage)}</p>`;
+	}
+	
+	return meanings.map(meaning => `
+		<div class="detail-meaning">
+			<span class="entry-pos">${escapeHtml(meaning.partOfSpeech)}</span>
+			<ol>
+				${meaning.definitions.map(def => `
+					<li>
+						${escapeHtml(def.definition)}
+						${def.example ? `<div class="detail-example">"${escapeHtml(def.example)}"</div>` : ''}
+					</li>
+				`).join('')}
+			</ol>
+		</div>
+	`).join('');
+}
+
+/**
+ * Renders the live dictionary lookup for a headword, if one was made.
+ * @param {string} headword
+ * @returns {string} HTML string
+ */
+function createLiveDictionaryContent(headword) {
+	if (!liveMeanings.has(headword)) return '';
+	
+	return `
+		<h3 class="detail-heading">Current dictionary entry</h3>
+		${createDictionaryContent(liveMeanings.get(headword), 'The dictionary has no entry for this word now.')}
+	`;
+}
+
+/**
+ * Marks the column the entries are sorted by.
+ */
+function renderSortButtons() {
+	sortButtons.forEach(btn => {
+		const sorts = COLUMN_SORTS[btn.dataset.column];
+		const index = sorts.indexOf(sort);
+		btn.classList.toggle('active', index !== -1);
+		btn.dataset.direction = index === -1 || sorts.length === 1 ? '' : (index === 0 ? 'asc' : 'desc');
+	});
+}
+
+/**
+ * Updates the page controls.
+ */
+function renderPagination() {
+	const pageSize = getPageSize();
+	const pageCount = Math.max(1, Math.ceil(matchedCount / pageSize));
+	const first = page * pageSize + 1;
+	const last = page * pageSize + pageEntries.length;
+	
+	pagination.hidden = matchedCount === 0;
+	pageInfo.textContent = `Page ${page + 1} of ${pageCount} · ${first}–${last} of ${matchedCount}`;
+	prevBtn.disabled = page === 0;
+	nextBtn.disabled = page + 1 >= pageCount;
+}
+
+/**
+ * Updates the bulk action bar and the select-all checkbox.
+ */
+function renderSelection() {
+	const selectedOnPage = pageEntries.filter(e => selectedIds.has(e.id)).length;
+	selectPage.checked = pageEntries.length > 0 && selectedOnPage === pageEntries.length;
+	selectPage.indeterminate = selectedOnPage > 0 && selectedOnPage < pageEntries.length;
+	
+	bulkBar.hidden = selectedIds.size === 0;
+	selectionCount.textContent = `${selectedIds.size} selected`;
+	
+	selectMatchingBtn.hidden = !selectPage.checked || selectedIds.size >= matchedCount;
+	selectMatchingBtn.textContent = `Select all ${matchedCount} matching`;
+}
+
+/**
+ * Fills a filter select with options, keeping the current choice if still present.
+ * @param {HTMLSelectElement} select
+ * @param {string} allLabel
+ * @param {string[]} values
+ */
+function renderFilterOptions(select, allLabel, values) {
+	const current = select.value;
+	select.innerHTML = `<option value="">${escapeHtml(allLabel)}</option>` +
+		values.map(v => `<option value="${escapeHtml(v)}">${escapeHtml(v)}</option>`).join('');
+	select.value = values.includes(current) ? current : '';
+}
+
+/**
+ * Shows a status message.
+ * @param {string} message
+ * @param {boolean} [isError]
+ */
+function showStatus(message, isError = false) {
+	statusBar.textContent = message;
+	statusBar.classList.toggle('error', isError);
+	statusBar.hidden = false;
+}
+
+/**
+ * Gets the key of the group an entry belongs to, or null when not grouping.
+ * @param {SavedEntry} entry
+ * @returns {string | null}
+ */
+function getGroupKey(entry) {
+	switch (groupBySelect.value) {
+		case 'source':
+			return getLatestContext(entry)?.sourceUrl || '';
+		case 'date':
+			return new Date(entry.createdAt).toDateString();
+		default:
+			return null;
+	}
+}
+
+/**
+ * @returns {number}
+ */
+function getPageSize() {
+	return Number(pageSizeSelect.value);
+}
+
+/**
+ * Builds the query for the current filters and page.
+ * @returns {EntryQuery}
+ */
+function getQuery() {
+	return {
+		search: searchInput.value.trim(),
+		partOfSpeech: posFilter.value,
+		domain: domainFilter.value,
+		tag: tagFilter.value,
+		sort,
+		offset: page * getPageSize(),
+		limit: getPageSize(),
+	};
+}
+
+// ============================================================================
+// Data Operations
+// ============================================================================
+
+/**
+ * Loads the filter options and the current page of entries.
+ */
+async function loadEntries() {
+	try {
+		const response = await chrome.runtime.sendMessage({ action: 'get-entry-facets' });
+		if (response?.facets) {
+			renderFilterOptions(posFilter, 'All parts of speech', response.facets.partsOfSpeech);
+			renderFilterOptions(domainFilter, 'All sites', response.facets.domains);
+			renderFilterOptions(tagFilter, 'All tags', response.facets.tags);
+			tagSuggestions.innerHTML = response.facets.tags.map(t => `<option value="${escapeHtml(t)}">`).join('');
+		}
+		await loadPage();
+	} catch (error) {
+		console.error('Failed to load entries:', error);
+		entriesBody.innerHTML = '<tr><td colspan="8" class="loading">Failed to load</td></tr>';
+	}
+}
+
+/**
+ * Loads the current page of entries, stepping back if it no longer exists.
+ */
+async function loadPage() {
+	const requestId = ++queryCounter;
+	
+	try {
+		const result = await chrome.runtime.sendMessage({ action: 'query-entries', query: getQuery() });
+		// A newer query was started while this one ran
+		if (!result || requestId !== queryCounter) return;
+		
+		if (result.entries.length === 0 && page > 0 && result.matched > 0) {
+			page = Math.ceil(result.matched / getPageSize()) - 1;
+			await loadPage();
+			return;
+		}
+		
+		pageEntries = result.entries;
+		matchedCount = result.matched;
+		totalCount = result.total;
+		renderEntries();
+	} catch (error) {
+		console.error('Failed to query entries:', error);
+	}
+}
+
+/**
+ * Goes back to the first page after the filters changed.
+ */
+function applyFilters() {
+	page = 0;
+	loadPage();
+}
+
+/**
+ * Looks an entry's headword up in the dictionary again, showing the
+ * result next to the data saved with the entry.
+ * @param {SavedEntry} entry
+ * @param {HTMLButtonElement} button
+ */
+async function lookUpAgain(entry, button) {
+	const headword = getHeadword(entry);
+	button.disabled = true;
+	button.textContent = 'Looking up…';
+	
+	try {
+		const response = await chrome.runtime.sendMessage({ action: 'fetch-definition', word: headword });
+		if (response?.offline && !response.definition) {
+			showStatus('Offline, and this word is not in the cache.', true);
+		} else {
+			liveMeanings.set(headword, response?.definition?.meanings || []);
+		}
+	} catch (error) {
+		console.error('Failed to look up word:', error);
+		showStatus('Could not reach the dictionary.', true);
+	}
+	
+	// The row may have been collapsed or re-rendered meanwhile
+	const container = document.getElementById('live-dictionary-data');
+	if (container && expandedId === entry.id) {
+		container.innerHTML = createLiveDictionaryContent(headword);
+	}
+	button.disabled = false;
+	button.textContent = 'Look up again';
+}
+
+/**
+ * Selects every entry matching the filters, across all pages.
+ */
+async function selectAllMatching() {
+	try {
+		const result = await chrome.runtime.sendMessage({
+			action: 'query-entries',
+			query: { ...getQuery(), offset: 0, limit: 0 },
+		});
+		
+		result?.entries.forEach(e => selectedIds.add(e.id));
+		renderEntries();
+	} catch (error) {
+		console.error('Failed to select entries:', error);
+	}
+}
+
+/**
+ * Deletes the selected entries after confirmation.
+ */
+async function deleteSelected() {
+	const count = selectedIds.size;
+	if (!confirm(`Delete ${formatCount(count)}? This cannot be undone.`)) {
+		return;
+	}
+	
+	try {
+		const response = await chrome.runtime.sendMessage({ action: 'delete-entries', ids: [...selectedIds] });
+		if (!response?.success) {
+			showStatus('Could not delete the selected entries.', true);
+			return;
+		}
+		
+		selectedIds.clear();
+		showStatus(`Deleted ${formatCount(count)}.`);
+		await loadEntries();
+	} catch (error) {
+		console.error('Failed to delete entries:', error);
+	}
+}
+
+/**
+ * Adds the tag in the tag input to the selected entries, or removes it.
+ * @param {'add' | 'remove'} operation
+ */
+async function tagSelected(operation) {
+	const tag = bulkTagInput.value.trim();
+	if (!tag) {
+		bulkTagInput.focus();
+		return;
+	}
+	
+	try {
+		const response = await chrome.runtime.sendMessage({
+			action: 'tag-entries',
+			ids: [...selectedIds],
+			[operation]: [tag],
+		});
+		if (!response?.success) {
+			showStatus('Could not update tags.', true);
+			return;
+		}
+		
+		bulkTagInput.value = '';
+		showStatus(operation === 'add'
+			? `Tagged ${formatCount(selectedIds.size)} with "${tag}".`
+			: `Removed "${tag}" from ${formatCount(selectedIds.size)}.`);
+		await loadEntries();
+	} catch (error) {
+		console.error('Failed to tag entries:', error);
+	}
+}
+
+/**
+ * Exports the selected entries in the selected format and downloads the file.
+ */
+async function exportSelected() {
+	try {
+		const response = await chrome.runtime.sendMessage({
+			action: 'export-entries',
+			format: exportFormat.value,
+			ids: [...selectedIds],
+		});
+		
+		if (response?.file) {
+			downloadFile(response.file.content, response.file.mimeType, response.file.filename);
+		}
+	} catch (error) {
+		console.error('Failed to export entries:', error);
+	}
+}
+
+// ============================================================================
+// Event Handlers
+// ============================================================================
+
+/**
+ * Handles clicks in the table body: selection, detail toggling and playback.
+ * @param {MouseEvent} event
+ */
+function handleEntriesClick(event) {
+	const target = /** @type {Element} */ (event.target);
+	const row = target.closest('.entry-row');
+	
+	if (target.classList.contains('entry-select')) {
+		const id = row.dataset.id;
+		if (target.checked) {
+			selectedIds.add(id);
+		} else {
+			selectedIds.delete(id);
+		}
+		renderSelection();
+		return;
+	}
+	
+	const lookupBtn = target.closest('.detail-lookup');
+	if (lookupBtn) {
+		lookUpAgain(pageEntries.find(e => e.id === expandedId), lookupBtn);
+		return;
+	}
+	
+	const playBtn = target.closest('.detail-play');
+	if (playBtn) {
+		const entry = pageEntries.find(e => e.id === expandedId);
+		if (playBtn.dataset.play === 'word') {
+			playPronunciation(entry.audio, entry.word);
+		} else {
+			speak(entry.contexts[playBtn.dataset.index].sentence);
+		}
+		return;
+	}
+	
+	if (row && !target.closest('a, .col-select')) {
+		expandedId = expandedId === row.dataset.id ? null : row.dataset.id;
+		renderEntries();
+	}
+}
+
+/**
+ * Selects or deselects every entry on the page.
+ */
+function toggleSelectPage() {
+	for (const entry of pageEntries) {
+		if (selectPage.checked) {
+			selectedIds.add(entry.id);
+		} else {
+			selectedIds.delete(entry.id);
+		}
+	}
+	renderEntries();
+}
+
+/**
+ * Sorts by a column, switching between its orders on repeated clicks.
+ * Grouping that the new order would scatter is turned off.
+ * @param {string} column
+ */
+function sortByColumn(column) {
+	const sorts = COLUMN_SORTS[column];
+	sort = sorts[(sorts.indexOf(sort) + 1) % sorts.length];
+	
+	if (groupBySelect.value && !GROUP_SORTS[groupBySelect.value].includes(sort)) {
+		groupBySelect.value = '';
+	}
+	applyFilters();
+}
+
+/**
+ * Switches grouping, sorting so that each group's rows stay together.
+ */
+function changeGrouping() {
+	const sorts = GROUP_SORTS[groupBySelect.value];
+	if (sorts && !sorts.includes(sort)) {
+		sort = sorts[0];
+	}
+	applyFilters();
+}
+
+// ============================================================================
+// Utilities
+// ============================================================================
+
+/**
+ * Plays a pronunciation recording, falling back to speech synthesis.
+ * @param {string} [audioUrl]
+ * @param {string} text
+ */
+function playPronunciation(audioUrl, text) {
+	if (!audioUrl) {
+		speak(text);
+		return;
+	}
+	
+	new Audio(audioUrl).play().catch(error => {
+		console.error('Failed to play audio:', error);
+		speak(text);
+	});
+}
+
+/**
+ * Speaks text using speech synthesis.
+ * @param {string} text
+ */
+function speak(text) {
+	speechSynthesis.cancel();
+	const utterance = new SpeechSynthesisUtterance(text);
+	utterance.lang = 'en-US';
+	speechSynthesis.speak(utterance);
+}
+
+/**
+ * Escapes HTML special characters.
+ * @param {string} str
+ * @returns {string}
+ */
+function escapeHtml(str) {
+	const div = document.createElement('div');
+	div.textContent = str;
+	return div.innerHTML;
+}
+
+/**
+ * Downloads text content as a file.
+ * @param {string} content
+ * @param {string} mimeType
+ * @param {string} filename
+ */
+function downloadFile(content, mimeType, filename) {
+	const blob = new Blob([content], { type: `${mimeType};charset=utf-8` });
+	const url = URL.createObjectURL(blob);
+	const link = document.createElement('a');
+	link.href = url;
+	link.download = filename;
+	link.click();
+	setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * Gets the context the word was last met in.
+ * @param {SavedEntry} entry
+ * @returns {EntryContext | null}
+ */
+function getLatestContext(entry) {
+	return entry.contexts[entry.contexts.length - 1] || null;
+}
+
+/**
+ * Gets the headword an entry is saved under.
+ * @param {SavedEntry} entry
+ * @returns {string}
+ */
+function getHeadword(entry) {
+	return (entry.lemma || entry.word).toLowerCase();
+}
+
+/**
+ * Gets the hostname of a URL, or an empty string if it is invalid.
+ * @param {string} [url]
+ * @returns {string}
+ */
+function getHostname(url) {
+	try {
+		return new URL(url).hostname;
+	} catch {
+		return '';
+	}
+}
+
+/**
+ * Truncates a string to a maximum length.
+ * @param {string} str
+ * @param {number} maxLength
+ * @returns {string}
+ */
+function truncate(str, maxLength) {
+	if (str.length <= maxLength) return str;
+	return str.slice(0, maxLength - 1) + '…';
+}
+
+/**
+ * Formats a number of entries, e.g. "1 entry" or "3 entries".
+ * @param {number} count
+ * @returns {string}
+ */
+function formatCount(count) {
+	return `${count} ${count === 1 ? 'entry' : 'entries'}`;
+}
+
+/**
+ * Formats a timestamp as a relative date.
+ * @param {number} timestamp
+ * @returns {string}
+ */
+function formatDate(timestamp) {
+	const date = new Date(timestamp);
+	const now = new Date();
+	const diff = now - date;
+	
+	const minutes = Math.floor(diff / 60000);
+	const hours = Math.floor(diff / 3600000);
+	const days = Math.floor(diff / 86400000);
+	
+	if (minutes < 1) return 'Just now';
+	if (minutes < 60) return `${minutes}m ago`;
+	if (hours < 24) return `${hours}h ago`;
+	if (days < 7) return `${days}d ago`;
+	
+	return date.toLocaleDateString();
+}
+
+// ============================================================================
+// Initialization
+// ============================================================================
+
+let searchTimeout = null;
+searchInput.addEventListener('input', () => {
+	clearTimeout(searchTimeout);
+	searchTimeout = setTimeout(applyFilters, 150);
+});
+posFilter.addEventListener('change', applyFilters);
+domainFilter.addEventListener('change', applyFilters);
+tagFilter.addEventListener('change', applyFilters);
+groupBySelect.addEventListener('change', changeGrouping);
+pageSizeSelect.addEventListener('change', applyFilters);
+entriesBody.addEventListener('click', handleEntriesClick);
+selectPage.addEventListener('change', toggleSelectPage);
+selectMatchingBtn.addEventListener('click', selectAllMatching);
+bulkAddTagBtn.addEventListener('click', () => tagSelected('add'));
+bulkRemoveTagBtn.addEventListener('click', () => tagSelected('remove'));
+bulkExportBtn.addEventListener('click', exportSelected);
+bulkDeleteBtn.addEventListener('click', deleteSelected);
+clearSelectionBtn.addEventListener('click', () => {
+	selectedIds.clear();
+	renderEntries();
+});
+prevBtn.addEventListener('click', () => {
+	page--;
+	loadPage();
+});
+nextBtn.addEventListener('click', () => {
+	page++;
+	loadPage();
+});
+sortButtons.forEach(btn => {
+	btn.addEventListener('click', () => sortByColumn(btn.dataset.column));
+});
+
+// Entries saved, edited or synced elsewhere show up without a reload
+chrome.storage.onChanged.addListener((changes, areaName) => {
+	if (areaName === 'local' && changes[ENTRIES_REVISION_KEY]) {
+		loadEntries();
+	}
+});
+
+loadEntries();
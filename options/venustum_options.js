@@ -0,0 +1,392 @@
+'use strict';
+
+/**
+ * @file options script for Venustum
+ */
+
+// ============================================================================
+// Types
+// ============================================================================
+
+/**
+ * @typedef {Object} Settings
+ * @property {'selection' | 'dblclick' | 'modifier'} triggerMode
+ * @property {'Alt' | 'Control' | 'Shift' | 'Meta'} modifierKey
+ * @property {number} minSelectionLength
+ * @property {number} maxSelectionLength
+ * @property {string} highlightColor
+ * @property {number} definitionsPerMeaning
+ * @property {boolean} autoClose
+ * @property {ProviderConfig[]} dictionaryProviders
+ * @property {boolean} markSavedWords
+ * @property {string[]} markSavedWordsExcludedSites
+ * @property {'blocklist' | 'allowlist'} siteMode
+ * @property {string[]} disabledSites
+ * @property {string[]} enabledSites
+ * @property {boolean} paused
+ * @property {boolean} syncEnabled
+ */
+
+/**
+ * @typedef {Object} ProviderConfig
+ * @property {'free-dictionary' | 'custom-http'} type
+ * @property {boolean} enabled
+ * @property {string} [urlTemplate]
+ * @property {Object<string, string>} [mapping]
+ */
+
+// ============================================================================
+// DOM Elements
+// ============================================================================
+
+const form = document.getElementById('options-form');
+const modifierField = document.getElementById('modifier-field');
+const disabledSitesField = document.getElementById('disabled-sites-field');
+const enabledSitesField = document.getElementById('enabled-sites-field');
+const resetBtn = document.getElementById('reset-btn');
+const statusText = document.getElementById('status');
+const providersList = document.getElementById('providers');
+const customProvider = document.getElementById('custom-provider');
+const cacheCount = document.getElementById('cache-count');
+const clearCacheBtn = document.getElementById('clear-cache-btn');
+const shortcutsList = document.getElementById('shortcuts');
+const shortcutsBtn = document.getElementById('shortcuts-btn');
+
+const PROVIDER_NAMES = {
+	'free-dictionary': 'Free Dictionary API',
+	'custom-http': 'Custom HTTP endpoint',
+};
+
+// ============================================================================
+// State
+// ============================================================================
+
+/** @type {ProviderConfig[]} */
+let providers = [];
+
+// ============================================================================
+// Rendering
+// ============================================================================
+
+/**
+ * Fills the form with the given settings.
+ * @param {Settings} settings
+ */
+function renderSettings(settings) {
+	for (const [name, value] of Object.entries(settings)) {
+		const field = form.elements.namedItem(name);
+		if (!field) continue;
+		
+		if (field.type === 'checkbox') {
+			field.checked = value;
+		} else if (Array.isArray(value)) {
+			field.value = value.join('\n');
+		} else {
+			field.value = value;
+		}
+	}
+	
+	modifierField.hidden = settings.triggerMode !== 'modifier';
+	disabledSitesField.hidden = settings.siteMode !== 'blocklist';
+	enabledSitesField.hidden = settings.siteMode !== 'allowlist';
+	
+	providers = settings.dictionaryProviders;
+	renderProviders();
+}
+
+/**
+ * Renders the ordered provider list and the custom endpoint fields.
+ */
+function renderProviders() {
+	providersList.innerHTML = providers.map((provider, i) => `
+		<li class="provider" data-index="${i}">
+			<input type="checkbox" data-provider-action="toggle" ${provider.enabled ? 'checked' : ''}
+				aria-label="Enable ${PROVIDER_NAMES[provider.type]}">
+			<span class="provider-name">${PROVIDER_NAMES[provider.type]}</span>
+			<button type="button" class="btn" data-provider-action="up" ${i === 0 ? 'disabled' : ''} title="Move up">↑</button>
+			<button type="button" class="btn" data-provider-action="down" ${i === providers.length - 1 ? 'disabled' : ''} title="Move down">↓</button>
+		</li>
+	`).join('');
+	
+	const custom = providers.find(p => p.type === 'custom-http');
+	customProvider.hidden = !custom;
+	
+	if (custom) {
+		form.elements.urlTemplate.value = custom.urlTemplate || '';
+		form.elements.mapping.value = Object.keys(custom.mapping || {}).length > 0
+			? JSON.stringify(custom.mapping, null, 2)
+			: '';
+	}
+}
+
+/**
+ * Reads settings from the form.
+ * @returns {Partial<Settings>}
+ */
+function readSettings() {
+	const elements = form.elements;
+	
+	return {
+		triggerMode: elements.triggerMode.value,
+		modifierKey: elements.modifierKey.value,
+		minSelectionLength: Number(elements.minSelectionLength.value),
+		maxSelectionLength: Number(elements.maxSelectionLength.value),
+		highlightColor: elements.highlightColor.value,
+		definitionsPerMeaning: Number(elements.definitionsPerMeaning.value),
+		autoClose: elements.autoClose.checked,
+		markSavedWords: elements.markSavedWords.checked,
+		dictionaryProviders: readProviders(),
+		paused: elements.paused.checked,
+		syncEnabled: elements.syncEnabled.checked,
+		siteMode: elements.siteMode.value,
+		disabledSites: readHostnames(elements.disabledSites),
+		enabledSites: readHostnames(elements.enabledSites),
+	};
+}
+
+/**
+ * Reads hostnames from a textarea, accepting full URLs as well.
+ * @param {HTMLTextAreaElement} textarea
+ * @returns {string[]}
+ */
+function readHostnames(textarea) {
+	return textarea.value
+		.split(/[\s,]+/)
+		.filter(Boolean)
+		.map(value => {
+			try {
+				return new URL(value).hostname;
+			} catch {
+				return value.toLowerCase();
+			}
+		});
+}
+
+/**
+ * Reads provider configs, taking the custom endpoint fields from the form.
+ * @returns {ProviderConfig[]}
+ */
+function readProviders() {
+	return providers.map(provider => {
+		if (provider.type !== 'custom-http') return provider;
+		
+		let mapping = provider.mapping;
+		try {
+			const text = form.elements.mapping.value.trim();
+			mapping = text ? JSON.parse(text) : {};
+		} catch {
+			showStatus('Response mapping is not valid JSON');
+		}
+		
+		return {
+			...provider,
+			urlTemplate: form.elements.urlTemplate.value.trim(),
+			mapping,
+		};
+	});
+}
+
+/**
+ * Handles the enable checkbox and reorder buttons of a provider.
+ * @param {Event} event
+ */
+async function handleProviderAction(event) {
+	const target = event.target.closest('[data-provider-action]');
+	if (!target) return;
+	
+	const index = Number(target.closest('.provider').dataset.index);
+	const action = target.dataset.providerAction;
+	
+	if (action === 'toggle' && event.type === 'change') {
+		event.stopPropagation();
+		providers[index] = { ...providers[index], enabled: target.checked };
+		if (target.checked && providers[index].type === 'custom-http') {
+			await requestEndpointPermission();
+		}
+	} else if ((action === 'up' || action === 'down') && event.type === 'click') {
+		const swap = action === 'up' ? index - 1 : index + 1;
+		[providers[index], providers[swap]] = [providers[swap], providers[index]];
+	} else {
+		return;
+	}
+	
+	await saveSettings();
+}
+
+/**
+ * Requests host permission for the custom endpoint's origin.
+ * @returns {Promise<boolean>}
+ */
+async function requestEndpointPermission() {
+	const template = form.elements.urlTemplate.value.trim();
+	if (!template) return false;
+	
+	try {
+		const origin = new URL(template.replaceAll('{word}', 'word')).origin;
+		const granted = await chrome.permissions.request({ origins: [`${origin}/*`] });
+		if (!granted) {
+			showStatus(`Access to ${origin} was not granted`);
+		}
+		return granted;
+	} catch (error) {
+		console.error('Failed to request endpoint permission:', error);
+		return false;
+	}
+}
+
+/**
+ * Shows a short-lived status message.
+ * @param {string} message
+ */
+function showStatus(message) {
+	statusText.textContent = message;
+	setTimeout(() => {
+		if (statusText.textContent === message) {
+			statusText.textContent = '';
+		}
+	}, 1500);
+}
+
+// ============================================================================
+// Data Operations
+// ============================================================================
+
+/**
+ * Loads settings from the background script.
+ */
+async function loadSettings() {
+	try {
+		const response = await chrome.runtime.sendMessage({ action: 'get-settings' });
+		if (response?.settings) {
+			renderSettings(response.settings);
+		}
+	} catch (error) {
+		console.error('Failed to load settings:', error);
+	}
+}
+
+/**
+ * Saves the form's settings.
+ */
+async function saveSettings() {
+	try {
+		const response = await chrome.runtime.sendMessage({
+			action: 'save-settings',
+			settings: readSettings(),
+		});
+		
+		if (response?.settings) {
+			renderSettings(response.settings);
+			showStatus('Saved');
+		}
+	} catch (error) {
+		console.error('Failed to save settings:', error);
+	}
+}
+
+/**
+ * Shows how many definitions are cached.
+ */
+async function loadCacheStats() {
+	try {
+		const response = await chrome.runtime.sendMessage({ action: 'get-cache-stats' });
+		if (response?.stats) {
+			const { count, bytes, maxBytes } = response.stats;
+			cacheCount.textContent = `${count} (${Math.ceil(bytes / 1024)} KB of ${maxBytes / 1024} KB)`;
+		}
+	} catch (error) {
+		console.error('Failed to load cache stats:', error);
+	}
+}
+
+/**
+ * Clears the definition cache.
+ */
+async function clearCache() {
+	try {
+		await chrome.runtime.sendMessage({ action: 'clear-definition-cache' });
+		await loadCacheStats();
+		showStatus('Cache cleared');
+	} catch (error) {
+		console.error('Failed to clear cache:', error);
+	}
+}
+
+/**
+ * Lists the keyboard shortcuts with their current keys.
+ */
+async function loadShortcuts() {
+	try {
+		const commands = await chrome.commands.getAll();
+		
+		shortcutsList.innerHTML = commands
+			.filter(command => command.description)
+			.map(command => `
+				<li class="shortcut">
+					<span>${escapeHtml(command.description)}</span>
+					<span class="shortcut-key">${escapeHtml(command.shortcut || 'Not set')}</span>
+				</li>
+			`).join('');
+	} catch (error) {
+		console.error('Failed to load shortcuts:', error);
+	}
+}
+
+/**
+ * Opens the browser's shortcut settings, where the keys are changed.
+ */
+function openShortcutSettings() {
+	if (chrome.commands.openShortcutSettings) {
+		chrome.commands.openShortcutSettings();
+	} else {
+		chrome.tabs.create({ url: 'chrome://extensions/shortcuts' });
+	}
+}
+
+/**
+ * Restores default settings.
+ */
+async function resetSettings() {
+	try {
+		const response = await chrome.runtime.sendMessage({ action: 'reset-settings' });
+		
+		if (response?.settings) {
+			renderSettings(response.settings);
+			showStatus('Defaults restored');
+		}
+	} catch (error) {
+		console.error('Failed to reset settings:', error);
+	}
+}
+
+// ============================================================================
+// Utilities
+// ============================================================================
+
+/**
+ * Escapes HTML special characters.
+ * @param {string} str
+ * @returns {string}
+ */
+function escapeHtml(str) {
+	const div = document.createElement('div');
+	div.textContent = str;
+	return div.innerHTML;
+}
+
+// ============================================================================
+// Initialization
+// ============================================================================
+
+form.addEventListener('change', saveSettings);
+providersList.addEventListener('change', handleProviderAction);
+providersList.addEventListener('click', handleProviderAction);
+form.elements.urlTemplate.addEventListener('change', requestEndpointPermission);
+form.addEventListener('submit', (e) => e.preventDefault());
+resetBtn.addEventListener('click', resetSettings);
+clearCacheBtn.addEventListener('click', clearCache);
+shortcutsBtn.addEventListener('click', openShortcutSettings);
+
+loadSettings();
+loadCacheStats();
+loadShortcuts();
@@ -4,6 +4,8 @@
  * @file popup script for Venustum
  */
 
+const SYNC_STATE_KEY = 'venustum_sync_state';
+
 // ============================================================================
 // Types
 // ============================================================================
@@ -12,13 +14,88 @@
  * @typedef {Object} SavedEntry
  * @property {string} id
  * @property {string} word
- * @property {string} sentence
+ * @property {string} [lemma]
  * @property {string} definition
  * @property {string} partOfSpeech
  * @property {string} phonetic
+ * @property {EntryContext[]} contexts - Where the word was met, oldest first
+ * @property {number} createdAt
+ * @property {string[]} [tags]
+ * @property {string} [audio]
+ * @property {string} [note] - Personal note or mnemonic
+ * @property {ReviewState} [review]
+ * @property {QuizRecord} [quiz]
+ */
+
+/**
+ * @typedef {Object} EntryContext
+ * @property {string} word
+ * @property {string} sentence
  * @property {string} sourceUrl
  * @property {string} sourceTitle
- * @property {number} createdAt
+ * @property {number} savedAt
+ */
+
+/**
+ * @typedef {Object} Sense
+ * @property {string} partOfSpeech
+ * @property {string} definition
+ */
+
+/**
+ * @typedef {Object} EntryQuery
+ * @property {string} [search]
+ * @property {string} [partOfSpeech]
+ * @property {string} [domain]
+ * @property {string} [tag]
+ * @property {'newest' | 'oldest' | 'alphabetical' | 'due'} [sort]
+ * @property {number} [offset]
+ * @property {number} [limit]
+ */
+
+/**
+ * @typedef {Object} SyncState
+ * @property {'disabled' | 'syncing' | 'ok' | 'error'} status
+ * @property {number} lastSyncAt
+ * @property {string | null} error
+ * @property {number} bytesUsed
+ * @property {{id: string, word: string, resolvedAt: number, kept: string}[]} conflicts
+ */
+
+/**
+ * @typedef {Object} ReviewState
+ * @property {number} ease
+ * @property {number} interval
+ * @property {number} repetitions
+ * @property {number} dueAt
+ * @property {{reviewedAt: number, grade: number, interval: number}[]} history
+ */
+
+/**
+ * @typedef {Object} QuizRecord
+ * @property {number} correct
+ * @property {number} incorrect
+ * @property {{answeredAt: number, type: QuizType, correct: boolean}[]} history
+ */
+
+/**
+ * @typedef {'cloze' | 'definition' | 'reverse'} QuizType
+ */
+
+/**
+ * @typedef {Object} QuizQuestion
+ * @property {string} id
+ * @property {QuizType} type
+ * @property {string} prompt - The blanked sentence, the word or the definition
+ * @property {string} [hint]
+ * @property {string[]} [options] - Choices, for definition and reverse questions
+ */
+
+/**
+ * @typedef {Object} QuizAnswer
+ * @property {boolean} correct
+ * @property {string} expected
+ * @property {string} word
  */
 
 // ============================================================================
@@ -29,49 +106,220 @@ const entriesContainer = document.getElementById('entries');
 const emptyState = document.getElementById('empty-state');
 const entryCount = document.getElementById('entry-count');
 const clearBtn = document.getElementById('clear-btn');
+const optionsBtn = document.getElementById('options-btn');
+const managerBtn = document.getElementById('manager-btn');
+const statsBtn = document.getElementById('stats-btn');
+const exportBtn = document.getElementById('export-btn');
+const exportFormat = document.getElementById('export-format');
+const importBtn = document.getElementById('import-btn');
+const importFile = document.getElementById('import-file');
+const statusBar = document.getElementById('status');
+const filterBar = document.getElementById('filters');
+const searchInput = document.getElementById('search');
+const posFilter = document.getElementById('pos-filter');
+const domainFilter = document.getElementById('domain-filter');
+const tagFilter = document.getElementById('tag-filter');
+const tagsBtn = document.getElementById('tags-btn');
+const tagsView = document.getElementById('tags');
+const tagsList = document.getElementById('tags-list');
+const tagsDoneBtn = document.getElementById('tags-done-btn');
+const sortSelect = document.getElementById('sort');
+const noResults = document.getElementById('no-results');
+const pauseToggle = document.getElementById('pause-toggle');
+const siteSettings = document.getElementById('site-settings');
+const siteName = document.getElementById('site-name');
+const siteToggle = document.getElementById('site-toggle');
+const markSiteToggle = document.getElementById('mark-site-toggle');
+const reviewBtn = document.getElementById('review-btn');
+const reviewView = document.getElementById('review');
+const reviewWord = document.getElementById('review-word');
+const reviewSentence = document.getElementById('review-sentence');
+const reviewAnswer = document.getElementById('review-answer');
+const reviewShowBtn = document.getElementById('review-show-btn');
+const reviewGrades = document.getElementById('review-grades');
+const reviewProgress = document.getElementById('review-progress');
+const reviewEndBtn = document.getElementById('review-end-btn');
+const quizBtn = document.getElementById('quiz-btn');
+const quizView = document.getElementById('quiz');
+const quizType = document.getElementById('quiz-type');
+const quizCard = document.getElementById('quiz-card');
+const quizPrompt = document.getElementById('quiz-prompt');
+const quizHint = document.getElementById('quiz-hint');
+const quizForm = document.getElementById('quiz-form');
+const quizInput = document.getElementById('quiz-input');
+const quizOptions = document.getElementById('quiz-options');
+const quizFeedback = document.getElementById('quiz-feedback');
+const quizSummary = document.getElementById('quiz-summary');
+const quizProgress = document.getElementById('quiz-progress');
+const quizNextBtn = document.getElementById('quiz-next-btn');
+const quizRestartBtn = document.getElementById('quiz-restart-btn');
+const quizEndBtn = document.getElementById('quiz-end-btn');
+const syncBar = document.getElementById('sync');
+const syncStatus = document.getElementById('sync-status');
+const syncBtn = document.getElementById('sync-btn');
+const syncConflicts = document.getElementById('sync-conflicts');
+const syncConflictsSummary = document.getElementById('sync-conflicts-summary');
+const syncConflictList = document.getElementById('sync-conflict-list');
+
+// ============================================================================
+// State
+// ============================================================================
+
+/** @type {SavedEntry[]} Pages of matching entries loaded so far */
+let loadedEntries = [];
+let matchedCount = 0;
+let totalCount = 0;
+/** Identifies the latest query, so slower earlier responses are dropped */
+let queryCounter = 0;
+/** @type {string | null} Entry whose edit form is open */
+let editingId = null;
+/** @type {SavedEntry[]} */
+let reviewQueue = [];
+/** @type {string | null} Hostname of the active tab */
+let currentHostname = null;
+let reviewedCount = 0;
+/** @type {QuizQuestion[]} */
+let quizQuestions = [];
+let quizIndex = 0;
+let quizScore = 0;
+/** @type {string[]} Words answered wrong this quiz */
+let quizMissed = [];
 
 // ============================================================================
 // Rendering
 // ============================================================================
 
 /**
- * Renders entries list.
- * @param {SavedEntry[]} entries
+ * Renders the loaded entries.
  */
-function renderEntries(entries) {
-	if (entries.length === 0) {
+function renderEntries() {
+	exportBtn.disabled = matchedCount === 0;
+	clearBtn.disabled = totalCount === 0;
+	quizBtn.disabled = totalCount === 0;
+	filterBar.style.display = totalCount === 0 ? 'none' : 'flex';
+	
+	const noun = (n) => `${n === 1 ? 'entry' : 'entries'}`;
+	entryCount.textContent = matchedCount === totalCount
+		? `${totalCount} ${noun(totalCount)}`
+		: `${matchedCount} of ${totalCount} ${noun(totalCount)}`;
+	
+	if (loadedEntries.length === 0) {
 		entriesContainer.style.display = 'none';
-		emptyState.style.display = 'block';
-		clearBtn.disabled = true;
-		entryCount.textContent = '0 entries';
+		emptyState.style.display = totalCount === 0 ? 'block' : 'none';
+		noResults.style.display = totalCount === 0 ? 'none' : 'block';
 		return;
 	}
 	
 	entriesContainer.style.display = 'block';
 	emptyState.style.display = 'none';
-	clearBtn.disabled = false;
-	entryCount.textContent = `${entries.length} ${entries.length === 1 ? 'entry' : 'entries'}`;
+	noResults.style.display = 'none';
 	
-	entriesContainer.innerHTML = entries.map(entry => `
+	entriesContainer.innerHTML = loadedEntries.map(entry => createEntryContent(entry)).join('') + (loadedEntries.length < matchedCount
+		? `<button class="btn btn-secondary load-more" id="load-more-btn">Show more (${matchedCount - loadedEntries.length} left)</button>`
+		: '');
+	
+	// Add click handlers
+	addEntryHandlers();
+	document.getElementById('load-more-btn')?.addEventListener('click', loadMoreEntries);
+}
+
+/**
+ * Creates the list item for an entry: the word once, with the sentence it
+ * was last met in and the other contexts folded away.
+ * @param {SavedEntry} entry
+ * @returns {string} HTML string
+ */
+function createEntryContent(entry) {
+	const context = getLatestContext(entry);
+	
+	return `
 		<div class="entry" data-id="${entry.id}">
 			<div class="entry-header">
 				<div>
 					<span class="entry-word">${escapeHtml(entry.word)}</span>
+					${entry.lemma && entry.lemma !== entry.word.toLowerCase() ? `<span class="entry-lemma">→ ${escapeHtml(entry.lemma)}</span>` : ''}
+					<button class="entry-play" data-play="word" title="Play word">▶</button>
 					${entry.partOfSpeech ? `<span class="entry-pos">${escapeHtml(entry.partOfSpeech)}</span>` : ''}
 				</div>
-				<button class="entry-delete" title="Delete">×</button>
+				<div class="entry-actions">
+					<button class="entry-edit-btn" title="Edit">✎</button>
+					<button class="entry-delete" title="Delete">×</button>
+				</div>
 			</div>
-			${entry.definition ? `<div class="entry-definition">${escapeHtml(entry.definition)}</div>` : ''}
-			${entry.sentence ? `<div class="entry-sentence">${escapeHtml(entry.sentence)}</div>` : ''}
+			${entry.id === editingId ? createEditForm(entry) : `
+				${entry.definition ? `<div class="entry-definition">${escapeHtml(entry.definition)}</div>` : ''}
+				${context?.sentence ? `<div class="entry-sentence"><button class="entry-play" data-play="sentence" data-index="${entry.contexts.length - 1}" title="Play sentence">▶</button> ${escapeHtml(context.sentence)}</div>` : ''}
+				${entry.contexts.length > 1 ? createContextList(entry) : ''}
+				${entry.note ? `<div class="entry-note">${escapeHtml(entry.note)}</div>` : ''}
+			`}
+			${entry.tags?.length ? `<div class="entry-tags">${entry.tags.map(t => `<span class="entry-tag">${escapeHtml(t)}</span>`).join('')}</div>` : ''}
 			<div class="entry-meta">
-				<span>${entry.sourceTitle ? escapeHtml(truncate(entry.sourceTitle, 30)) : ''}</span>
+				<span>${context?.sourceTitle ? escapeHtml(truncate(context.sourceTitle, 30)) : ''}</span>
 				<span>${formatDate(entry.createdAt)}</span>
 			</div>
 		</div>
-	`).join('');
+	`;
+}
+
+/**
+ * Creates the expandable list of every context of an entry, newest first.
+ * @param {SavedEntry} entry
+ * @returns {string} HTML string
+ */
+function createContextList(entry) {
+	const items = entry.contexts.map((context, i) => `
+		<li class="entry-context">
+			${context.sentence ? `<div><button class="entry-play" data-play="sentence" data-index="${i}" title="Play sentence">▶</button> ${escapeHtml(context.sentence)}</div>` : ''}
+			<div class="entry-context-meta">
+				${context.sourceUrl ? `<button class="entry-context-source" data-index="${i}" title="${escapeHtml(context.sourceUrl)}">${escapeHtml(truncate(context.sourceTitle || context.sourceUrl, 40))}</button>` : '<span></span>'}
+				<span>${formatDate(context.savedAt)}</span>
+			</div>
+		</li>
+	`).reverse();
 	
-	// Add click handlers
-	addEntryHandlers();
+	return `
+		<details class="entry-contexts">
+			<summary>Seen in ${entry.contexts.length} contexts</summary>
+			<ul>${items.join('')}</ul>
+		</details>
+	`;
+}
+
+/**
+ * Creates the inline form for editing an entry.
+ * @param {SavedEntry} entry
+ * @returns {string} HTML string
+ */
+function createEditForm(entry) {
+	return `
+		<form class="entry-edit">
+			<label class="entry-edit-field">Sense
+				<select class="select" name="sense" disabled>
+					<option value="">Loading senses…</option>
+				</select>
+			</label>
+			<label class="entry-edit-field">Definition
+				<textarea name="definition" rows="3">${escapeHtml(entry.definition || '')}</textarea>
+			</label>
+			${entry.contexts.length > 0 ? `
+				<div class="entry-edit-field">${entry.contexts.length === 1 ? 'Sentence' : 'Sentences'}
+					${entry.contexts.map((context, i) => `
+						<div class="entry-edit-context">
+							<textarea data-index="${i}" rows="2" aria-label="Sentence ${i + 1}">${escapeHtml(context.sentence)}</textarea>
+							<button type="button" class="entry-edit-remove" data-index="${i}" title="Remove this context">×</button>
+						</div>
+					`).join('')}
+				</div>
+			` : ''}
+			<label class="entry-edit-field">Note
+				<textarea name="note" rows="2" placeholder="Personal note or mnemonic">${escapeHtml(entry.note || '')}</textarea>
+			</label>
+			<div class="entry-edit-actions">
+				<button type="button" class="btn btn-secondary entry-edit-cancel">Cancel</button>
+				<button type="submit" class="btn btn-primary">Save</button>
+			</div>
+		</form>
+	`;
 }
 
 /**
@@ -86,10 +334,45 @@ function addEntryHandlers() {
 		
 		// Click to open source URL
 		entryEl.addEventListener('click', (e) => {
-			if (e.target === deleteBtn) return;
+			if (e.target === deleteBtn || e.target.closest('.entry-edit, .entry-contexts')) return;
 			openEntry(id);
 		});
 		
+		// Context source links
+		entryEl.querySelectorAll('.entry-context-source').forEach(btn => {
+			btn.addEventListener('click', () => {
+				const entry = loadedEntries.find(en => en.id === id);
+				chrome.tabs.create({ url: entry.contexts[btn.dataset.index].sourceUrl });
+			});
+		});
+		
+		// Edit button
+		entryEl.querySelector('.entry-edit-btn').addEventListener('click', (e) => {
+			e.stopPropagation();
+			editingId = editingId === id ? null : id;
+			renderEntries();
+		});
+		
+		const form = entryEl.querySelector('.entry-edit');
+		if (form) {
+			addEditFormHandlers(form, id);
+		}
+		
+		// Play buttons
+		entryEl.querySelectorAll('.entry-play').forEach(btn => {
+			btn.addEventListener('click', (e) => {
+				e.stopPropagation();
+				const entry = loadedEntries.find(en => en.id === id);
+				if (!entry) return;
+				
+				if (btn.dataset.play === 'word') {
+					playPronunciation(entry.audio, entry.word);
+				} else {
+					speak(entry.contexts[btn.dataset.index].sentence);
+				}
+			});
+		});
+		
 		// Delete button
 		deleteBtn.addEventListener('click', (e) => {
 			e.stopPropagation();
@@ -98,19 +381,561 @@ function addEntryHandlers() {
 	});
 }
 
+/**
+ * Wires up an entry's edit form and loads the senses it can switch between.
+ * @param {HTMLFormElement} form
+ * @param {string} id
+ */
+function addEditFormHandlers(form, id) {
+	/** @type {Sense[]} */
+	let senses = [];
+	let partOfSpeech;
+	
+	form.addEventListener('submit', (e) => {
+		e.preventDefault();
+		saveEntryEdit(id, {
+			definition: form.elements.definition.value,
+			sentences: [...form.querySelectorAll('.entry-edit-context textarea')].map(t => t.disabled ? null : t.value),
+			note: form.elements.note.value,
+			...(partOfSpeech !== undefined && { partOfSpeech }),
+		});
+	});
+	
+	form.querySelectorAll('.entry-edit-remove').forEach(btn => {
+		btn.addEventListener('click', () => {
+			const textarea = form.querySelector(`textarea[data-index="${btn.dataset.index}"]`);
+			textarea.disabled = !textarea.disabled;
+			btn.textContent = textarea.disabled ? '↺' : '×';
+			btn.title = textarea.disabled ? 'Keep this context' : 'Remove this context';
+		});
+	});
+	
+	form.querySelector('.entry-edit-cancel').addEventListener('click', () => {
+		editingId = null;
+		renderEntries();
+	});
+	
+	form.elements.sense.addEventListener('change', () => {
+		const sense = senses[form.elements.sense.value];
+		if (!sense) return;
+		form.elements.definition.value = sense.definition;
+		partOfSpeech = sense.partOfSpeech;
+	});
+	
+	const entry = loadedEntries.find(e => e.id === id);
+	loadSenses(entry).then(result => {
+		senses = result;
+		const select = form.elements.sense;
+		const current = senses.findIndex(s => s.definition === entry.definition);
+		
+		select.innerHTML = senses.length === 0
+			? '<option value="">No other senses found</option>'
+			: (current === -1 ? '<option value="">Custom definition</option>' : '') +
+				senses.map((s, i) => `<option value="${i}">${escapeHtml(`${s.partOfSpeech}: ${truncate(s.definition, 60)}`)}</option>`).join('');
+		select.value = current === -1 ? '' : String(current);
+		select.disabled = senses.length === 0;
+	});
+}
+
+/**
+ * Fills a filter select with options, keeping the current choice if still present.
+ * @param {HTMLSelectElement} select
+ * @param {string} allLabel
+ * @param {string[]} values
+ */
+function renderFilterOptions(select, allLabel, values) {
+	const current = select.value;
+	select.innerHTML = `<option value="">${escapeHtml(allLabel)}</option>` +
+		values.map(v => `<option value="${escapeHtml(v)}">${escapeHtml(v)}</option>`).join('');
+	select.value = values.includes(current) ? current : '';
+}
+
+/**
+ * Hides the entry list and every secondary view.
+ */
+function hideViews() {
+	for (const element of [entriesContainer, emptyState, noResults, filterBar, tagsView, reviewView, quizView]) {
+		element.style.display = 'none';
+	}
+}
+
+/**
+ * Shows a status message below the controls.
+ * @param {string} message
+ * @param {boolean} [isError]
+ */
+function showStatus(message, isError = false) {
+	statusBar.textContent = message;
+	statusBar.classList.toggle('error', isError);
+	statusBar.style.display = 'block';
+}
+
+/**
+ * Shows the sync status and the log of resolved conflicts.
+ * @param {SyncState} state
+ */
+function renderSyncState(state) {
+	syncBar.style.display = state.status === 'disabled' ? 'none' : 'block';
+	syncBtn.disabled = state.status === 'syncing';
+	syncStatus.classList.toggle('error', state.status === 'error');
+	
+	if (state.status === 'syncing') {
+		syncStatus.textContent = 'Syncing...';
+	} else if (state.status === 'error') {
+		syncStatus.textContent = `Sync failed: ${state.error}`;
+	} else {
+		const used = `${Math.ceil(state.bytesUsed / 1024)} KB of 100 KB used`;
+		syncStatus.textContent = state.lastSyncAt
+			? `Synced ${formatDate(state.lastSyncAt).toLowerCase()} · ${used}`
+			: 'Not synced yet';
+	}
+	
+	syncConflicts.hidden = state.conflicts.length === 0;
+	syncConflictsSummary.textContent = `${state.conflicts.length} conflict${state.conflicts.length === 1 ? '' : 's'} resolved`;
+	syncConflictList.innerHTML = state.conflicts.map(c => `
+		<li>${formatDate(c.resolvedAt)}: "${escapeHtml(c.word)}" was edited on both devices; kept the version from ${escapeHtml(c.kept)}</li>
+	`).join('');
+}
+
+/**
+ * Updates the review button with the number of due entries.
+ * @param {number} dueCount
+ */
+function renderReviewButton(dueCount) {
+	reviewBtn.disabled = dueCount === 0;
+	reviewBtn.textContent = dueCount > 0 ? `Review (${dueCount})` : 'Review';
+}
+
+// ============================================================================
+// Filtering
+// ============================================================================
+
+const PAGE_SIZE = 50;
+
+/**
+ * Builds the entry query from the search box, filters and sort order.
+ * @param {number} offset
+ * @returns {EntryQuery}
+ */
+function getQuery(offset) {
+	return {
+		search: searchInput.value.trim(),
+		partOfSpeech: posFilter.value,
+		domain: domainFilter.value,
+		tag: tagFilter.value,
+		sort: sortSelect.value,
+		offset,
+		limit: PAGE_SIZE,
+	};
+}
+
+/**
+ * Rebuilds the part of speech, domain and tag filter choices.
+ * @param {{partsOfSpeech: string[], domains: string[], tags: string[]}} facets
+ */
+function updateFilterOptions(facets) {
+	renderFilterOptions(posFilter, 'All parts of speech', facets.partsOfSpeech);
+	renderFilterOptions(domainFilter, 'All sites', facets.domains);
+	renderFilterOptions(tagFilter, 'All tags', facets.tags);
+}
+
+/**
+ * Loads the first page of entries matching the search, filters and sort order.
+ */
+async function applyFilters() {
+	const requestId = ++queryCounter;
+	
+	try {
+		const page = await chrome.runtime.sendMessage({ action: 'query-entries', query: getQuery(0) });
+		// A newer query was started while this one ran
+		if (!page || requestId !== queryCounter) return;
+		
+		loadedEntries = page.entries;
+		matchedCount = page.matched;
+		totalCount = page.total;
+		renderEntries();
+	} catch (error) {
+		console.error('Failed to query entries:', error);
+	}
+}
+
+/**
+ * Appends the next page of matching entries.
+ */
+async function loadMoreEntries() {
+	const requestId = queryCounter;
+	
+	try {
+		const page = await chrome.runtime.sendMessage({
+			action: 'query-entries',
+			query: getQuery(loadedEntries.length),
+		});
+		if (!page || requestId !== queryCounter) return;
+		
+		loadedEntries = [...loadedEntries, ...page.entries];
+		matchedCount = page.matched;
+		totalCount = page.total;
+		renderEntries();
+	} catch (error) {
+		console.error('Failed to load more entries:', error);
+	}
+}
+
+// ============================================================================
+// Tag Management
+// ============================================================================
+
+/**
+ * Shows the tag manager in place of the entry list.
+ */
+async function showTags() {
+	hideViews();
+	tagsView.style.display = 'block';
+	await renderTags();
+}
+
+/**
+ * Renders the list of tags with their entry counts.
+ */
+async function renderTags() {
+	let tags = [];
+	try {
+		const response = await chrome.runtime.sendMessage({ action: 'get-tags' });
+		tags = response?.tags || [];
+	} catch (error) {
+		console.error('Failed to load tags:', error);
+	}
+	
+	if (tags.length === 0) {
+		tagsList.innerHTML = '<div class="empty-state"><p>No tags yet.</p><p class="hint">Add tags when saving a word.</p></div>';
+		return;
+	}
+	
+	tagsList.innerHTML = tags.map(({ tag, count }) => `
+		<div class="tag-row" data-tag="${escapeHtml(tag)}">
+			<span class="tag-name">${escapeHtml(tag)}</span>
+			<span class="tag-count">${count}</span>
+			<button class="btn btn-secondary" data-tag-action="view">View</button>
+			<button class="btn btn-secondary" data-tag-action="rename">Rename</button>
+			<button class="btn btn-danger" data-tag-action="delete">Delete</button>
+		</div>
+	`).join('');
+	
+	tagsList.querySelectorAll('[data-tag-action]').forEach(btn => {
+		const tag = btn.closest('.tag-row').dataset.tag;
+		btn.addEventListener('click', () => handleTagAction(btn.dataset.tagAction, tag));
+	});
+}
+
+/**
+ * Handles a button in the tag manager.
+ * @param {'view' | 'rename' | 'delete'} action
+ * @param {string} tag
+ */
+async function handleTagAction(action, tag) {
+	try {
+		if (action === 'view') {
+			await hideTags();
+			tagFilter.value = tag;
+			applyFilters();
+			return;
+		}
+		
+		if (action === 'rename') {
+			const to = prompt(`Rename "${tag}" to (an existing tag name merges the two):`, tag);
+			if (!to || to.trim().toLowerCase() === tag) return;
+			await chrome.runtime.sendMessage({ action: 'rename-tag', from: tag, to });
+		}
+		
+		if (action === 'delete') {
+			if (!confirm(`Remove the tag "${tag}" from all entries?`)) return;
+			await chrome.runtime.sendMessage({ action: 'delete-tag', tag });
+		}
+		
+		await renderTags();
+	} catch (error) {
+		console.error('Failed to update tag:', error);
+	}
+}
+
+/**
+ * Hides the tag manager and returns to the entry list.
+ */
+async function hideTags() {
+	tagsView.style.display = 'none';
+	await loadEntries();
+}
+
+// ============================================================================
+// Review Session
+// ============================================================================
+
+/**
+ * Starts a review session with all due entries.
+ */
+async function startReview() {
+	try {
+		const response = await chrome.runtime.sendMessage({ action: 'get-due-entries' });
+		reviewQueue = response?.entries || [];
+	} catch (error) {
+		console.error('Failed to load due entries:', error);
+		return;
+	}
+	
+	reviewedCount = 0;
+	hideViews();
+	reviewView.style.display = 'block';
+	showReviewCard();
+}
+
+/**
+ * Shows the front of the next card in the review queue.
+ */
+function showReviewCard() {
+	const entry = reviewQueue[0];
+	
+	if (!entry) {
+		endReview();
+		return;
+	}
+	
+	const context = getLatestContext(entry);
+	reviewWord.textContent = entry.word;
+	reviewSentence.textContent = blankWord(context?.sentence, context?.word || entry.word);
+	reviewSentence.style.display = context?.sentence ? 'block' : 'none';
+	reviewAnswer.style.display = 'none';
+	reviewShowBtn.style.display = 'inline-block';
+	reviewGrades.style.display = 'none';
+	reviewProgress.textContent = `${reviewedCount} reviewed, ${reviewQueue.length} left`;
+}
+
+/**
+ * Reveals the back of the current card.
+ */
+function showReviewAnswer() {
+	const entry = reviewQueue[0];
+	if (!entry) return;
+	
+	reviewAnswer.innerHTML = `
+		${entry.partOfSpeech ? `<span class="entry-pos">${escapeHtml(entry.partOfSpeech)}</span>` : ''}
+		${entry.phonetic ? `<span class="review-phonetic">${escapeHtml(entry.phonetic)}</span>` : ''}
+		<div class="review-definition">${escapeHtml(entry.definition || 'No definition saved.')}</div>
+	`;
+	reviewSentence.textContent = getLatestContext(entry)?.sentence || '';
+	reviewAnswer.style.display = 'block';
+	reviewShowBtn.style.display = 'none';
+	reviewGrades.style.display = 'flex';
+}
+
+/**
+ * Grades the current card and moves to the next one.
+ * Failed cards are shown again at the end of the session.
+ * @param {number} grade
+ */
+async function gradeReviewCard(grade) {
+	const entry = reviewQueue.shift();
+	if (!entry) return;
+	
+	try {
+		await chrome.runtime.sendMessage({ action: 'grade-entry', id: entry.id, grade });
+	} catch (error) {
+		console.error('Failed to grade entry:', error);
+	}
+	
+	if (grade < 3) {
+		reviewQueue.push(entry);
+	} else {
+		reviewedCount++;
+	}
+	
+	showReviewCard();
+}
+
+/**
+ * Ends the review session and returns to the entry list.
+ */
+async function endReview() {
+	reviewQueue = [];
+	reviewView.style.display = 'none';
+	await loadEntries();
+}
+
+// ============================================================================
+// Quiz
+// ============================================================================
+
+/** Prompt of each question type, above the question itself */
+const QUIZ_INSTRUCTIONS = {
+	cloze: 'Fill in the blank:',
+	definition: 'What does this word mean?',
+	reverse: 'Which word means this?',
+};
+
+/**
+ * Starts a quiz of the chosen question type, built from saved entries.
+ */
+async function startQuiz() {
+	try {
+		const types = quizType.value ? [quizType.value] : undefined;
+		const response = await chrome.runtime.sendMessage({ action: 'get-quiz', types });
+		quizQuestions = response?.questions || [];
+	} catch (error) {
+		console.error('Failed to load quiz:', error);
+		return;
+	}
+	
+	quizIndex = 0;
+	quizScore = 0;
+	quizMissed = [];
+	hideViews();
+	quizView.style.display = 'block';
+	showQuizQuestion();
+}
+
+/**
+ * Shows the current question, or the results once all are answered.
+ */
+function showQuizQuestion() {
+	const question = quizQuestions[quizIndex];
+	
+	if (!question) {
+		showQuizSummary();
+		return;
+	}
+	
+	quizCard.style.display = 'block';
+	quizSummary.style.display = 'none';
+	quizNextBtn.style.display = 'none';
+	quizRestartBtn.style.display = 'none';
+	
+	quizPrompt.innerHTML = `<div class="quiz-instruction">${QUIZ_INSTRUCTIONS[question.type]}</div>${escapeHtml(question.prompt)}`;
+	quizPrompt.classList.toggle('quiz-word', question.type === 'definition');
+	quizHint.textContent = question.hint || '';
+	quizHint.style.display = question.hint ? 'block' : 'none';
+	quizFeedback.textContent = '';
+	
+	quizForm.style.display = question.options ? 'none' : 'flex';
+	quizInput.value = '';
+	quizInput.disabled = false;
+	quizForm.querySelector('button').disabled = false;
+	
+	quizOptions.innerHTML = (question.options || []).map((option, index) => `
+		<button class="quiz-option" data-index="${index}">${escapeHtml(option)}</button>
+	`).join('');
+	quizOptions.querySelectorAll('.quiz-option').forEach(btn => {
+		btn.addEventListener('click', () => answerQuizQuestion(question.options[Number(btn.dataset.index)]));
+	});
+	
+	quizProgress.textContent = `Question ${quizIndex + 1} of ${quizQuestions.length} · ${quizScore} right`;
+	
+	if (!question.options) {
+		quizInput.focus();
+	}
+}
+
+/**
+ * Checks the answer to the current question and shows whether it was right.
+ * @param {string} answer
+ */
+async function answerQuizQuestion(answer) {
+	const question = quizQuestions[quizIndex];
+	if (!question) return;
+	
+	quizInput.disabled = true;
+	quizForm.querySelector('button').disabled = true;
+	quizOptions.querySelectorAll('.quiz-option').forEach(btn => { btn.disabled = true; });
+	
+	/** @type {QuizAnswer | null} */
+	let result = null;
+	try {
+		const response = await chrome.runtime.sendMessage({ action: 'answer-quiz', id: question.id, type: question.type, answer });
+		result = response?.result || null;
+	} catch (error) {
+		console.error('Failed to check answer:', error);
+	}
+	
+	if (!result) {
+		quizFeedback.textContent = 'Could not check the answer.';
+		quizFeedback.classList.add('wrong');
+		quizNextBtn.style.display = 'inline-block';
+		return;
+	}
+	
+	if (result.correct) {
+		quizScore++;
+	} else {
+		quizMissed.push(result.word);
+	}
+	
+	quizOptions.querySelectorAll('.quiz-option').forEach(btn => {
+		const option = question.options[Number(btn.dataset.index)];
+		btn.classList.toggle('correct', option === result.expected);
+		btn.classList.toggle('wrong', option === answer && !result.correct);
+	});
+	
+	quizFeedback.textContent = result.correct ? 'Correct!' : `The answer is: ${result.expected}`;
+	quizFeedback.classList.toggle('wrong', !result.correct);
+	quizProgress.textContent = `Question ${quizIndex + 1} of ${quizQuestions.length} · ${quizScore} right`;
+	quizNextBtn.style.display = 'inline-block';
+	quizNextBtn.focus();
+}
+
+/**
+ * Moves to the next question.
+ */
+function nextQuizQuestion() {
+	quizIndex++;
+	showQuizQuestion();
+}
+
+/**
+ * Shows the score and the words answered wrong.
+ */
+function showQuizSummary() {
+	quizCard.style.display = 'none';
+	quizSummary.style.display = 'block';
+	quizNextBtn.style.display = 'none';
+	quizRestartBtn.style.display = 'inline-block';
+	quizProgress.textContent = '';
+	
+	if (quizQuestions.length === 0) {
+		quizSummary.textContent = 'Not enough saved sentences or definitions for this kind of question yet.';
+		return;
+	}
+	
+	const missed = [...new Set(quizMissed)];
+	quizSummary.innerHTML = `
+		<div>You got ${quizScore} of ${quizQuestions.length} right.</div>
+		${missed.length > 0 ? `<ul>${missed.map(word => `<li>${escapeHtml(word)}</li>`).join('')}</ul>` : ''}
+	`;
+}
+
+/**
+ * Ends the quiz and returns to the entry list.
+ */
+async function endQuiz() {
+	quizQuestions = [];
+	quizView.style.display = 'none';
+	await loadEntries();
+}
+
 // ============================================================================
 // Data Operations
 // ============================================================================
 
 /**
- * Loads entries from storage.
+ * Loads the filter choices and the first page of entries.
  */
 async function loadEntries() {
 	try {
-		const response = await chrome.runtime.sendMessage({ action: 'get-entries' });
-		if (response?.entries) {
-			renderEntries(response.entries);
+		const response = await chrome.runtime.sendMessage({ action: 'get-entry-facets' });
+		if (response?.facets) {
+			updateFilterOptions(response.facets);
 		}
+		await applyFilters();
+		
+		const dueResponse = await chrome.runtime.sendMessage({ action: 'get-due-entries' });
+		renderReviewButton(dueResponse?.entries?.length || 0);
 	} catch (error) {
 		console.error('Failed to load entries:', error);
 		entriesContainer.innerHTML = '<div class="loading">Failed to load</div>';
@@ -123,27 +948,254 @@ async function loadEntries() {
  */
 async function deleteEntry(id) {
 	try {
-		await chrome.runtime.sendMessage({ action: 'delete-entry', id });
-		await loadEntries();
+		const response = await chrome.runtime.sendMessage({ action: 'delete-entry', id });
+		if (!response?.success) return;
+		
+		// Update the list in place rather than reloading every page
+		loadedEntries = loadedEntries.filter(e => e.id !== id);
+		matchedCount--;
+		totalCount--;
+		renderEntries();
+		
+		const dueResponse = await chrome.runtime.sendMessage({ action: 'get-due-entries' });
+		renderReviewButton(dueResponse?.entries?.length || 0);
 	} catch (error) {
 		console.error('Failed to delete entry:', error);
 	}
 }
 
 /**
- * Opens the entry's source URL.
+ * Looks up the senses of an entry's headword.
+ * @param {SavedEntry} entry
+ * @returns {Promise<Sense[]>}
+ */
+async function loadSenses(entry) {
+	try {
+		const response = await chrome.runtime.sendMessage({
+			action: 'fetch-definition',
+			word: entry.lemma || entry.word,
+		});
+		
+		return (response?.definition?.meanings || []).flatMap(meaning =>
+			meaning.definitions.map(def => ({
+				partOfSpeech: meaning.partOfSpeech,
+				definition: def.definition,
+			}))
+		);
+	} catch (error) {
+		console.error('Failed to load senses:', error);
+		return [];
+	}
+}
+
+/**
+ * Saves the changes made in an entry's edit form.
+ * @param {string} id
+ * @param {Partial<SavedEntry>} changes
+ */
+async function saveEntryEdit(id, changes) {
+	try {
+		const response = await chrome.runtime.sendMessage({ action: 'update-entry', id, changes });
+		if (!response?.success) {
+			showStatus('Could not save changes.', true);
+			return;
+		}
+		
+		loadedEntries = loadedEntries.map(e => e.id === id ? response.entry : e);
+		editingId = null;
+		renderEntries();
+		showStatus('Changes saved.');
+	} catch (error) {
+		console.error('Failed to save entry:', error);
+		showStatus('Could not save changes.', true);
+	}
+}
+
+/**
+ * Opens the page the entry's word was last met on.
  * @param {string} id
  */
-async function openEntry(id) {
+function openEntry(id) {
+	const entry = loadedEntries.find(e => e.id === id);
+	const context = entry && getLatestContext(entry);
+	
+	if (context?.sourceUrl) {
+		chrome.tabs.create({ url: context.sourceUrl });
+	}
+}
+
+/**
+ * Exports the entries matching the filters in the selected format and downloads the file.
+ */
+async function exportFilteredEntries() {
+	try {
+		const response = await chrome.runtime.sendMessage({
+			action: 'export-entries',
+			format: exportFormat.value,
+			query: { ...getQuery(0), limit: 0 },
+		});
+		
+		if (response?.file) {
+			downloadFile(response.file.content, response.file.mimeType, response.file.filename);
+		}
+	} catch (error) {
+		console.error('Failed to export entries:', error);
+	}
+}
+
+/**
+ * Imports entries from the chosen JSON or CSV file.
+ */
+async function importSelectedFile() {
+	const file = importFile.files[0];
+	importFile.value = '';
+	if (!file) return;
+	
+	const format = /\.csv$/i.test(file.name) || file.type === 'text/csv' ? 'csv' : 'json';
+	
 	try {
-		const response = await chrome.runtime.sendMessage({ action: 'get-entries' });
-		const entry = response?.entries?.find(e => e.id === id);
+		const content = await file.text();
+		const response = await chrome.runtime.sendMessage({ action: 'import-entries', content, format });
 		
-		if (entry?.sourceUrl) {
-			chrome.tabs.create({ url: entry.sourceUrl });
+		if (!response?.result) {
+			showStatus(`Could not read ${file.name}.`, true);
+			return;
 		}
+		
+		const { added, duplicates, rejected } = response.result;
+		showStatus(`Imported ${added}, skipped ${duplicates} duplicate${duplicates === 1 ? '' : 's'}, rejected ${rejected} malformed.`);
+		await loadEntries();
+	} catch (error) {
+		console.error('Failed to import entries:', error);
+		showStatus(`Could not read ${file.name}.`, true);
+	}
+}
+
+/**
+ * Tells the background whether the browser's theme is dark. Extension
+ * pages follow the browser's theme, which the background's service
+ * worker cannot query, so the action icon can contrast with the toolbar.
+ */
+async function reportBrowserTheme() {
+	try {
+		await chrome.runtime.sendMessage({
+			action: 'set-browser-theme',
+			darkTheme: matchMedia('(prefers-color-scheme: dark)').matches,
+		});
+	} catch (error) {
+		console.error('Failed to report browser theme:', error);
+	}
+}
+
+/**
+ * Shows the pause switch, and the site switches for the active tab's site.
+ */
+async function loadSiteSettings() {
+	try {
+		const response = await chrome.runtime.sendMessage({ action: 'get-settings' });
+		const settings = response?.settings;
+		if (!settings) return;
+		
+		pauseToggle.checked = settings.paused;
+		
+		const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+		const url = tab?.url ? new URL(tab.url) : null;
+		if (!url || !/^https?:$/.test(url.protocol)) return;
+		
+		currentHostname = url.hostname;
+		siteName.textContent = currentHostname;
+		siteToggle.checked = settings.siteMode === 'allowlist'
+			? settings.enabledSites.includes(currentHostname)
+			: !settings.disabledSites.includes(currentHostname);
+		siteToggle.disabled = settings.paused;
+		markSiteToggle.checked = !settings.markSavedWordsExcludedSites.includes(currentHostname);
+		markSiteToggle.disabled = !settings.markSavedWords || !siteToggle.checked || settings.paused;
+		siteSettings.style.display = 'block';
+	} catch (error) {
+		console.error('Failed to load site settings:', error);
+	}
+}
+
+/**
+ * Pauses or resumes Venustum on every site.
+ */
+async function togglePause() {
+	try {
+		await chrome.runtime.sendMessage({
+			action: 'save-settings',
+			settings: { paused: pauseToggle.checked },
+		});
+		await loadSiteSettings();
 	} catch (error) {
-		console.error('Failed to open entry:', error);
+		console.error('Failed to update pause setting:', error);
+	}
+}
+
+/**
+ * Turns Venustum on or off for the active tab's site.
+ */
+async function toggleSiteEnabled() {
+	if (!currentHostname) return;
+	
+	try {
+		await chrome.runtime.sendMessage({ action: 'toggle-site', hostname: currentHostname });
+		await loadSiteSettings();
+	} catch (error) {
+		console.error('Failed to update site settings:', error);
+	}
+}
+
+/**
+ * Turns saved word marking on or off for the active tab's site.
+ */
+async function toggleSiteMarking() {
+	if (!currentHostname) return;
+	
+	try {
+		const response = await chrome.runtime.sendMessage({ action: 'get-settings' });
+		const excluded = (response?.settings?.markSavedWordsExcludedSites || [])
+			.filter(h => h !== currentHostname);
+		
+		if (!markSiteToggle.checked) {
+			excluded.push(currentHostname);
+		}
+		
+		await chrome.runtime.sendMessage({
+			action: 'save-settings',
+			settings: { markSavedWordsExcludedSites: excluded },
+		});
+	} catch (error) {
+		console.error('Failed to update site settings:', error);
+	}
+}
+
+/**
+ * Loads the sync status.
+ */
+async function loadSyncState() {
+	try {
+		const response = await chrome.runtime.sendMessage({ action: 'get-sync-state' });
+		if (response?.state) {
+			renderSyncState(response.state);
+		}
+	} catch (error) {
+		console.error('Failed to load sync state:', error);
+	}
+}
+
+/**
+ * Syncs right away and shows the merged entries.
+ */
+async function syncNow() {
+	try {
+		syncBtn.disabled = true;
+		const response = await chrome.runtime.sendMessage({ action: 'sync-now' });
+		if (response?.state) {
+			renderSyncState(response.state);
+		}
+		await loadEntries();
+	} catch (error) {
+		console.error('Failed to sync:', error);
 	}
 }
 
@@ -163,6 +1215,38 @@ async function clearAll() {
 	}
 }
 
+// ============================================================================
+// Pronunciation
+// ============================================================================
+
+/**
+ * Plays a pronunciation recording, falling back to speech synthesis.
+ * @param {string | undefined} audioUrl
+ * @param {string} text
+ */
+function playPronunciation(audioUrl, text) {
+	if (!audioUrl) {
+		speak(text);
+		return;
+	}
+	
+	new Audio(audioUrl).play().catch(error => {
+		console.error('Failed to play audio:', error);
+		speak(text);
+	});
+}
+
+/**
+ * Reads text aloud with the browser's speech synthesis.
+ * @param {string} text
+ */
+function speak(text) {
+	speechSynthesis.cancel();
+	const utterance = new SpeechSynthesisUtterance(text);
+	utterance.lang = 'en-US';
+	speechSynthesis.speak(utterance);
+}
+
 // ============================================================================
 // Utilities
 // ============================================================================
@@ -178,6 +1262,43 @@ function escapeHtml(str) {
 	return div.innerHTML;
 }
 
+/**
+ * Downloads text content as a file.
+ * @param {string} content
+ * @param {string} mimeType
+ * @param {string} filename
+ */
+function downloadFile(content, mimeType, filename) {
+	const blob = new Blob([content], { type: `${mimeType};charset=utf-8` });
+	const url = URL.createObjectURL(blob);
+	const link = document.createElement('a');
+	link.href = url;
+	link.download = filename;
+	link.click();
+	setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * Gets the context the word was last met in.
+ * @param {SavedEntry} entry
+ * @returns {EntryContext | null}
+ */
+function getLatestContext(entry) {
+	return entry.contexts[entry.contexts.length - 1] || null;
+}
+
+/**
+ * Replaces occurrences of a word in a sentence with a blank.
+ * @param {string} sentence
+ * @param {string} word
+ * @returns {string}
+ */
+function blankWord(sentence, word) {
+	if (!sentence || !word) return sentence || '';
+	const pattern = new RegExp(word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'gi');
+	return sentence.replace(pattern, '_____');
+}
+
 /**
  * Truncates a string to a maximum length.
  * @param {string} str
@@ -216,5 +1337,59 @@ function formatDate(timestamp) {
 // ============================================================================
 
 clearBtn.addEventListener('click', clearAll);
+optionsBtn.addEventListener('click', () => chrome.runtime.openOptionsPage());
+managerBtn.addEventListener('click', () => {
+	chrome.tabs.create({ url: chrome.runtime.getURL('manager/venustum_manager.html') });
+	window.close();
+});
+statsBtn.addEventListener('click', () => {
+	chrome.tabs.create({ url: chrome.runtime.getURL('stats/venustum_stats.html') });
+	window.close();
+});
+exportBtn.addEventListener('click', exportFilteredEntries);
+importBtn.addEventListener('click', () => importFile.click());
+importFile.addEventListener('change', importSelectedFile);
+reviewBtn.addEventListener('click', startReview);
+quizBtn.addEventListener('click', startQuiz);
+let searchTimeout = null;
+searchInput.addEventListener('input', () => {
+	clearTimeout(searchTimeout);
+	searchTimeout = setTimeout(applyFilters, 150);
+});
+posFilter.addEventListener('change', applyFilters);
+domainFilter.addEventListener('change', applyFilters);
+sortSelect.addEventListener('change', applyFilters);
+tagFilter.addEventListener('change', applyFilters);
+tagsBtn.addEventListener('click', showTags);
+tagsDoneBtn.addEventListener('click', hideTags);
+pauseToggle.addEventListener('change', togglePause);
+siteToggle.addEventListener('change', toggleSiteEnabled);
+markSiteToggle.addEventListener('change', toggleSiteMarking);
+reviewShowBtn.addEventListener('click', showReviewAnswer);
+reviewEndBtn.addEventListener('click', endReview);
+syncBtn.addEventListener('click', syncNow);
+quizType.addEventListener('change', startQuiz);
+quizForm.addEventListener('submit', (event) => {
+	event.preventDefault();
+	if (quizInput.value.trim()) {
+		answerQuizQuestion(quizInput.value);
+	}
+});
+quizNextBtn.addEventListener('click', nextQuizQuestion);
+quizRestartBtn.addEventListener('click', startQuiz);
+quizEndBtn.addEventListener('click', endQuiz);
+
+chrome.storage.onChanged.addListener((changes, areaName) => {
+	if (areaName === 'local' && changes[SYNC_STATE_KEY]?.newValue) {
+		renderSyncState(changes[SYNC_STATE_KEY].newValue);
+	}
+});
+
+reviewGrades.querySelectorAll('[data-grade]').forEach(btn => {
+	btn.addEventListener('click', () => gradeReviewCard(Number(btn.dataset.grade)));
+});
 
 loadEntries();
+loadSiteSettings();
+loadSyncState();
+reportBrowserTheme();
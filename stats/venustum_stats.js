@@ -0,0 +1,223 @@
+'use strict';
+
+/**
+ * @file statistics page for Venustum
+ */
+
+const ENTRIES_REVISION_KEY = 'venustum_entries_revision';
+
+// ============================================================================
+// Types
+// ============================================================================
+
+/**
+ * @typedef {Object} LearningStats
+ * @property {number} entries
+ * @property {number} contexts
+ * @property {DayCount[]} perDay - Oldest first
+ * @property {DayCount[]} perWeek - By the Monday starting each week, oldest first
+ * @property {number} currentStreak
+ * @property {number} longestStreak
+ * @property {LabelCount[]} domains
+ * @property {LabelCount[]} partsOfSpeech
+ * @property {{total: number, passed: number}} reviews
+ * @property {{total: number, correct: number}} quiz
+ */
+
+/**
+ * @typedef {Object} DayCount
+ * @property {string} date - Local date as YYYY-MM-DD
+ * @property {number} count
+ */
+
+/**
+ * @typedef {Object} LabelCount
+ * @property {string} label
+ * @property {number} count
+ */
+
+// ============================================================================
+// DOM Elements
+// ============================================================================
+
+const emptyState = document.getElementById('empty-state');
+const dashboard = document.getElementById('dashboard');
+const entriesTotal = document.getElementById('entries-total');
+const contextsTotal = document.getElementById('contexts-total');
+const currentStreak = document.getElementById('current-streak');
+const longestStreak = document.getElementById('longest-streak');
+const retention = document.getElementById('retention');
+const retentionLabel = document.getElementById('retention-label');
+const quizAccuracy = document.getElementById('quiz-accuracy');
+const quizLabel = document.getElementById('quiz-label');
+const periodSelect = document.getElementById('period');
+const chart = document.getElementById('chart');
+const domainList = document.getElementById('domains');
+const partOfSpeechList = document.getElementById('parts-of-speech');
+
+// ============================================================================
+// State
+// ============================================================================
+
+/** @type {LearningStats | null} */
+let stats = null;
+
+// ============================================================================
+// UI Functions
+// ============================================================================
+
+/**
+ * Renders the whole dashboard.
+ */
+function renderStats() {
+	emptyState.hidden = stats.entries > 0;
+	dashboard.hidden = stats.entries === 0;
+	
+	entriesTotal.textContent = stats.entries;
+	contextsTotal.textContent = stats.contexts;
+	currentStreak.textContent = pluralize(stats.currentStreak, 'day');
+	longestStreak.textContent = pluralize(stats.longestStreak, 'day');
+	
+	retention.textContent = formatShare(stats.reviews.passed, stats.reviews.total);
+	retentionLabel.textContent = stats.reviews.total > 0
+		? `Retention over ${pluralize(stats.reviews.total, 'review')}`
+		: 'Retention: no reviews yet';
+	quizAccuracy.textContent = formatShare(stats.quiz.correct, stats.quiz.total);
+	quizLabel.textContent = stats.quiz.total > 0
+		? `Quiz accuracy over ${pluralize(stats.quiz.total, 'answer')}`
+		: 'Quiz accuracy: no quizzes yet';
+	
+	renderChart();
+	renderBars(domainList, stats.domains, 'No source pages recorded.');
+	renderBars(partOfSpeechList, stats.partsOfSpeech, 'No parts of speech recorded.');
+}
+
+/**
+ * Renders the chart of words saved per day or per week.
+ */
+function renderChart() {
+	const weekly = periodSelect.value === 'week';
+	const counts = weekly ? stats.perWeek : stats.perDay;
+	const max = Math.max(1, ...counts.map(c => c.count));
+	
+	chart.innerHTML = counts.map(({ date, count }, index) => {
+		// Label every week, and every seventh day counting back from today
+		const labelled = weekly || (counts.length - 1 - index) % 7 === 0;
+		const title = `${weekly ? 'Week of ' : ''}${formatDay(date, true)}: ${pluralize(count, 'word')}`;
+		return `<div class="chart-column" title="${escapeHtml(title)}">
+			<span class="chart-value">${count || ''}</span>
+			<div class="chart-track">
+				<div class="chart-bar" style="height: ${count / max * 100}%"></div>
+			</div>
+			<span class="chart-label">${labelled ? escapeHtml(formatDay(date)) : ''}</span>
+		</div>`;
+	}).join('');
+}
+
+/**
+ * Renders counts as horizontal bars, scaled to the largest.
+ * @param {HTMLElement} list
+ * @param {LabelCount[]} counts
+ * @param {string} emptyText
+ */
+function renderBars(list, counts, emptyText) {
+	if (counts.length === 0) {
+		list.innerHTML = `<li class="bars-empty">${escapeHtml(emptyText)}</li>`;
+		return;
+	}
+	
+	const max = counts[0].count;
+	list.innerHTML = counts.map(({ label, count }) => `
+		<li class="bar-row">
+			<span class="bar-label" title="${escapeHtml(label)}">${escapeHtml(label)}</span>
+			<span class="bar-track"><span class="bar-fill" style="width: ${count / max * 100}%"></span></span>
+			<span class="bar-count">${count}</span>
+		</li>
+	`).join('');
+}
+
+// ============================================================================
+// Data Operations
+// ============================================================================
+
+/**
+ * Loads the statistics and renders them.
+ */
+async function loadStats() {
+	try {
+		const response = await chrome.runtime.sendMessage({ action: 'get-stats' });
+		if (!response?.stats) return;
+		
+		stats = response.stats;
+		renderStats();
+	} catch (error) {
+		console.error('Failed to load statistics:', error);
+	}
+}
+
+// ============================================================================
+// Utilities
+// ============================================================================
+
+/**
+ * Escapes HTML special characters.
+ * @param {string} str
+ * @returns {string}
+ */
+function escapeHtml(str) {
+	const div = document.createElement('div');
+	div.textContent = str;
+	return div.innerHTML;
+}
+
+/**
+ * Formats a YYYY-MM-DD date as a short local date.
+ * @param {string} key
+ * @param {boolean} [withYear]
+ * @returns {string}
+ */
+function formatDay(key, withYear = false) {
+	const [year, month, day] = key.split('-').map(Number);
+	return new Date(year, month - 1, day).toLocaleDateString(undefined, {
+		month: 'short',
+		day: 'numeric',
+		...(withYear ? { year: 'numeric' } : {}),
+	});
+}
+
+/**
+ * Formats a count with a noun, e.g. "1 day" or "3 days".
+ * @param {number} count
+ * @param {string} noun - Singular, made plural with an s
+ * @returns {string}
+ */
+function pluralize(count, noun) {
+	return `${count} ${noun}${count === 1 ? '' : 's'}`;
+}
+
+/**
+ * Formats a share as a whole percentage, or a dash when there is nothing to share.
+ * @param {number} part
+ * @param {number} total
+ * @returns {string}
+ */
+function formatShare(part, total) {
+	return total > 0 ? `${Math.round(part / total * 100)}%` : '–';
+}
+
+// ============================================================================
+// Initialization
+// ============================================================================
+
+periodSelect.addEventListener('change', () => {
+	if (stats) renderChart();
+});
+
+// Entries saved, reviewed or synced elsewhere update the numbers
+chrome.storage.onChanged.addListener((changes, areaName) => {
+	if (areaName === 'local' && changes[ENTRIES_REVISION_KEY]) {
+		loadStats();
+	}
+});
+
+loadStats();
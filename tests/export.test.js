@@ -0,0 +1,49 @@
+'use strict';
+
+/**
+ * @file export format checks; run with `node --test tests/`
+ */
+
+const assert = require('node:assert');
+const test = require('node:test');
+const { loadBackground } = require('./load-background');
+
+const { entriesToAnki } = loadBackground();
+
+/**
+ * Builds an entry met once in a sentence.
+ * @param {string} word
+ * @param {string} sentence
+ */
+function entryWith(word, sentence) {
+	return {
+		id: '1', word, lemma: word, definition: '', partOfSpeech: '', phonetic: '',
+		tags: [], note: '', createdAt: 0,
+		contexts: [{ word, sentence, sourceUrl: '', sourceTitle: '', savedAt: 0 }],
+	};
+}
+
+/**
+ * Gets the Text field of the only note in an Anki export.
+ * @param {string} word
+ * @param {string} sentence
+ */
+function clozeText(word, sentence) {
+	const lines = entriesToAnki([entryWith(word, sentence)]).trim().split('\n');
+	return lines[lines.length - 1].split('\t')[0];
+}
+
+test('puts the cloze on the word, not inside a longer one', () => {
+	assert.strictEqual(
+		clozeText('run', 'After brunch we run home.'),
+		'After brunch we {{c1::<b>run</b>}} home.');
+	assert.strictEqual(
+		clozeText('art', 'At the start, art was all.'),
+		'At the start, {{c1::<b>art</b>}} was all.');
+});
+
+test('falls back to a cloze before the sentence when the word is only inside others', () => {
+	assert.strictEqual(
+		clozeText('run', 'We had brunch.'),
+		'{{c1::<b>run</b>}} — We had brunch.');
+});
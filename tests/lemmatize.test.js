@@ -0,0 +1,70 @@
+'use strict';
+
+/**
+ * @file lemmatizer and phrase form checks; run with `node --test tests/`
+ */
+
+const assert = require('node:assert');
+const test = require('node:test');
+const { loadBackground } = require('./load-background');
+
+const { lemmatize, getPhraseVariants } = loadBackground();
+
+/** Word forms and the headword they must produce */
+const INFLECTIONS = [
+	['caused', 'cause'],
+	['created', 'create'],
+	['received', 'receive'],
+	['believed', 'believe'],
+	['required', 'require'],
+	['leaving', 'leave'],
+	['choosing', 'choose'],
+	['typed', 'type'],
+	['travelled', 'travel'],
+	['controlled', 'control'],
+	['panicked', 'panic'],
+	['quizzes', 'quiz'],
+	['dyed', 'dye'],
+	['running', 'run'],
+	['making', 'make'],
+	['danced', 'dance'],
+	['filled', 'fill'],
+	['picked', 'pick'],
+	['cities', 'city'],
+	['boxes', 'box'],
+];
+
+/** Verbs whose bare stem must be tried first, before a guess with -e */
+const BARE_STEMS = [
+	['limited', 'limit'],
+	['opened', 'open'],
+	['visited', 'visit'],
+	['installed', 'install'],
+];
+
+/** Words ending like inflections that are headwords themselves */
+const HEADWORDS = ['economics', 'physics', 'gas', 'atlas', 'class', 'bus'];
+
+test('finds the headword of common inflections', () => {
+	for (const [form, headword] of INFLECTIONS) {
+		assert.ok(lemmatize(form).includes(headword), `${form} -> ${lemmatize(form)}`);
+	}
+});
+
+test('tries the bare stem first', () => {
+	for (const [form, headword] of BARE_STEMS) {
+		assert.strictEqual(lemmatize(form)[0], headword, `${form} -> ${lemmatize(form)}`);
+	}
+});
+
+test('leaves headwords that look inflected alone', () => {
+	for (const word of HEADWORDS) {
+		assert.strictEqual(lemmatize(word).length, 0, `${word} -> ${lemmatize(word)}`);
+	}
+});
+
+test('finds no phrase forms in selections without letters', () => {
+	for (const phrase of ['123 456', '2024 2025', '... !!', '- -']) {
+		assert.deepStrictEqual([...getPhraseVariants(phrase)], [], phrase);
+	}
+});
@@ -0,0 +1,27 @@
+'use strict';
+
+/**
+ * @file loads venustum_background.js into a vm context for tests
+ */
+
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+// Accepts whatever chrome.* calls the background script makes on load
+const chromeStub = new Proxy(function () {}, { get: () => chromeStub, apply: () => chromeStub });
+
+/**
+ * Runs the background script and returns its global scope.
+ * @returns {vm.Context}
+ */
+function loadBackground() {
+	const context = vm.createContext(Object.assign(Object.create(globalThis), {
+		chrome: chromeStub,
+		console: { log() {}, error() {} },
+	}));
+	vm.runInContext(fs.readFileSync(path.join(__dirname, '..', 'venustum_background.js'), 'utf8'), context);
+	return context;
+}
+
+module.exports = { loadBackground };
@@ -14,14 +14,115 @@ const DICTIONARY_API_BASE = 'https://api.dictionaryapi.dev/api/v2/entries/en';
 /**
  * @typedef {Object} SavedEntry
  * @property {string} id
- * @property {string} word
- * @property {string} sentence
+ * @property {string} word - The form first selected on a page
+ * @property {string} [lemma] - The dictionary headword the word was looked up as, one entry per headword
  * @property {string} definition
  * @property {string} partOfSpeech
  * @property {string} phonetic
+ * @property {EntryContext[]} contexts - Where the word was met, oldest first
+ * @property {string[]} [sourceUrls] - Context URLs, filled on write for the source index
+ * @property {number} createdAt
+ * @property {string[]} [tags]
+ * @property {string} [audio] - Pronunciation recording URL
+ * @property {string} [note] - Personal note or mnemonic
+ * @property {Meaning[]} [meanings] - Dictionary senses and examples as looked up when saved; not synced
+ * @property {number} [updatedAt] - Last change, for merging synced copies; createdAt if never changed
+ * @property {ReviewState} [review]
+ * @property {QuizRecord} [quiz]
+ */
+
+/**
+ * @typedef {Object} EntryContext
+ * @property {string} word - The form selected in this sentence
+ * @property {string} sentence
  * @property {string} sourceUrl
  * @property {string} sourceTitle
- * @property {number} createdAt
+ * @property {number} savedAt
+ */
+
+/**
+ * An entry with a single sentence and source instead of contexts: the
+ * shape of save requests, of entries stored before contexts and of
+ * CSV rows.
+ * @typedef {Omit<SavedEntry, 'contexts'> & {sentence?: string, sourceUrl?: string, sourceTitle?: string, contexts?: EntryContext[]}} EntryDraft
+ */
+
+/**
+ * @typedef {Object} ReviewState
+ * @property {number} ease - SM-2 easiness factor
+ * @property {number} interval - Days until the next review
+ * @property {number} repetitions - Consecutive successful reviews
+ * @property {number} dueAt - Unix timestamp of the next review
+ * @property {ReviewLog[]} history
+ */
+
+/**
+ * @typedef {Object} ReviewLog
+ * @property {number} reviewedAt
+ * @property {number} grade - 0 (blackout) to 5 (perfect recall)
+ * @property {number} interval
+ */
+
+/**
+ * @typedef {Object} QuizRecord
+ * @property {number} correct - Questions answered right
+ * @property {number} incorrect - Questions answered wrong
+ * @property {QuizResult[]} history
+ */
+
+/**
+ * @typedef {Object} QuizResult
+ * @property {number} answeredAt
+ * @property {QuizType} type
+ * @property {boolean} correct
+ */
+
+/**
+ * cloze: type the word blanked out of a saved sentence; definition: pick
+ * the word's definition; reverse: pick the word for a definition.
+ * @typedef {'cloze' | 'definition' | 'reverse'} QuizType
+ */
+
+/**
+ * @typedef {Object} QuizQuestion
+ * @property {string} id - Entry the question is about
+ * @property {QuizType} type
+ * @property {string} prompt - The blanked sentence, the word or the definition
+ * @property {string} [hint] - Definition for cloze, sentence for definition questions
+ * @property {string[]} [options] - Choices, for definition and reverse questions
+ */
+
+/**
+ * @typedef {Object} QuizAnswer
+ * @property {boolean} correct
+ * @property {string} expected - The right answer
+ * @property {string} word - The word the question was about
+ */
+
+/**
+ * @typedef {Object} LearningStats
+ * @property {number} entries
+ * @property {number} contexts
+ * @property {DayCount[]} perDay - New words on each of the last days, oldest first
+ * @property {DayCount[]} perWeek - New words in each of the last weeks, by the Monday starting it
+ * @property {number} currentStreak - Days in a row with activity, up to today or yesterday
+ * @property {number} longestStreak
+ * @property {LabelCount[]} domains - Contexts per source site, most first
+ * @property {LabelCount[]} partsOfSpeech - Entries per part of speech, most first
+ * @property {{total: number, passed: number}} reviews - Reviews made on this device, and those graded Hard or better
+ * @property {{total: number, correct: number}} quiz - Quiz answers, and those answered right
+ */
+
+/**
+ * @typedef {Object} DayCount
+ * @property {string} date - Local date as YYYY-MM-DD
+ * @property {number} count
+ */
+
+/**
+ * @typedef {Object} LabelCount
+ * @property {string} label
+ * @property {number} count
  */
 
 /**
@@ -50,148 +151,3517 @@ const DICTIONARY_API_BASE = 'https://api.dictionaryapi.dev/api/v2/entries/en';
  * @property {string} example
  */
 
+/**
+ * @typedef {Object} Settings
+ * @property {'selection' | 'dblclick' | 'modifier'} triggerMode
+ * @property {'Alt' | 'Control' | 'Shift' | 'Meta'} modifierKey
+ * @property {number} minSelectionLength
+ * @property {number} maxSelectionLength
+ * @property {string} highlightColor - Hex color
+ * @property {number} definitionsPerMeaning
+ * @property {boolean} autoClose - Close the popup on click elsewhere
+ * @property {ProviderConfig[]} dictionaryProviders - Tried in order
+ * @property {boolean} markSavedWords - Underline saved words on pages
+ * @property {string[]} markSavedWordsExcludedSites - Hostnames where saved words are not marked
+ * @property {'blocklist' | 'allowlist'} siteMode - Whether Venustum runs everywhere except or only on listed sites
+ * @property {string[]} disabledSites - Hostnames where Venustum is turned off in blocklist mode
+ * @property {string[]} enabledSites - Hostnames where Venustum is turned on in allowlist mode
+ * @property {boolean} paused - Turns Venustum off everywhere
+ * @property {boolean} syncEnabled - Sync entries across devices through browser sync
+ */
+
+/**
+ * @typedef {Object} ProviderConfig
+ * @property {'free-dictionary' | 'custom-http'} type
+ * @property {boolean} enabled
+ * @property {string} [urlTemplate] - custom-http only, with a `{word}` placeholder
+ * @property {Partial<ResponseMapping>} [mapping] - custom-http only
+ */
+
+/**
+ * @typedef {Object} ResponseMapping
+ * @property {string} entry
+ * @property {string} word
+ * @property {string} phonetic
+ * @property {string} phonetics
+ * @property {string} meanings
+ * @property {string} partOfSpeech
+ * @property {string} definitions
+ * @property {string} definition
+ * @property {string} example
+ */
+
 // ============================================================================
 // Storage Keys
 // ============================================================================
 
+/** Entries lived here as a single array before moving to IndexedDB */
 const STORAGE_KEY = 'venustum_entries';
+/** Bumped on every entry change so listeners can react */
+const ENTRIES_REVISION_KEY = 'venustum_entries_revision';
+const SETTINGS_KEY = 'venustum_settings';
+const CACHE_KEY = 'venustum_definition_cache';
 
 // ============================================================================
-// Dictionary API
+// Dictionary Providers
 // ============================================================================
 
 /**
- * Fetches definition from Dictionary API.
+ * Looks up a word, returning null when the provider has no entry.
+ * Throws on network or server errors so the caller can fall back.
+ * @callback ProviderLookup
  * @param {string} word
+ * @param {ProviderConfig} config
  * @returns {Promise<DictionaryEntry | null>}
  */
+
+/**
+ * @typedef {Object} DictionaryProvider
+ * @property {string} name
+ * @property {ProviderLookup} lookup
+ */
+
+/**
+ * Free Dictionary API (https://dictionaryapi.dev/).
+ * @type {ProviderLookup}
+ */
+async function lookupFreeDictionary(word) {
+	const data = await fetchJSON(`${DICTIONARY_API_BASE}/${encodeURIComponent(word)}`);
+	
+	if (!Array.isArray(data) || data.length === 0) {
+		return null;
+	}
+	
+	const entry = data[0];
+	
+	// Extract phonetic
+	let phonetic = entry.phonetic || '';
+	if (!phonetic && entry.phonetics) {
+		const withText = entry.phonetics.find(p => p.text);
+		if (withText) phonetic = withText.text;
+	}
+	
+	return {
+		word: entry.word,
+		phonetic: phonetic,
+		phonetics: entry.phonetics || [],
+		meanings: (entry.meanings || []).map(m => ({
+			partOfSpeech: m.partOfSpeech,
+			definitions: (m.definitions || []).map(d => ({
+				definition: d.definition,
+				example: d.example || '',
+			})),
+		})),
+	};
+}
+
+/**
+ * Custom HTTP endpoint: fetches the URL template with `{word}` substituted
+ * and maps the JSON response into a DictionaryEntry.
+ * @type {ProviderLookup}
+ */
+async function lookupCustomHttp(word, config) {
+	const url = config.urlTemplate.replaceAll('{word}', encodeURIComponent(word));
+	const data = await fetchJSON(url);
+	
+	if (data == null) {
+		return null;
+	}
+	
+	const mapping = { ...DEFAULT_RESPONSE_MAPPING, ...config.mapping };
+	const entry = getPath(data, mapping.entry);
+	
+	if (!entry || typeof entry !== 'object') {
+		return null;
+	}
+	
+	const asArray = (value) => Array.isArray(value) ? value : [];
+	const asString = (value) => typeof value === 'string' ? value : '';
+	
+	const meanings = asArray(getPath(entry, mapping.meanings)).map(m => ({
+		partOfSpeech: asString(getPath(m, mapping.partOfSpeech)),
+		definitions: asArray(getPath(m, mapping.definitions))
+			.map(d => ({
+				definition: asString(typeof d === 'string' ? d : getPath(d, mapping.definition)),
+				example: asString(getPath(d, mapping.example)),
+			}))
+			.filter(d => d.definition),
+	})).filter(m => m.definitions.length > 0);
+	
+	return {
+		word: asString(getPath(entry, mapping.word)) || word,
+		phonetic: asString(getPath(entry, mapping.phonetic)),
+		phonetics: asArray(getPath(entry, mapping.phonetics)).map(p => ({
+			text: asString(p?.text),
+			audio: asString(p?.audio),
+		})),
+		meanings,
+	};
+}
+
+/** @type {Record<ProviderConfig['type'], DictionaryProvider>} */
+const DICTIONARY_PROVIDERS = {
+	'free-dictionary': { name: 'Free Dictionary API', lookup: lookupFreeDictionary },
+	'custom-http': { name: 'Custom HTTP endpoint', lookup: lookupCustomHttp },
+};
+
+/**
+ * Response mapping for custom endpoints. Each value is a dot-separated
+ * path (array indices allowed); meaning and definition paths are relative
+ * to the meaning or definition object. The defaults match the Free
+ * Dictionary API shape, so endpoints serving DictionaryEntry arrays work
+ * without configuration.
+ * @type {ResponseMapping}
+ */
+const DEFAULT_RESPONSE_MAPPING = {
+	entry: '0',
+	word: 'word',
+	phonetic: 'phonetic',
+	phonetics: 'phonetics',
+	meanings: 'meanings',
+	partOfSpeech: 'partOfSpeech',
+	definitions: 'definitions',
+	definition: 'definition',
+	example: 'example',
+};
+
+/**
+ * Fetches a definition, trying each enabled provider in order until one
+ * returns an entry with meanings.
+ * @param {string} word
+ * @returns {Promise<DictionaryEntry | null>} Null if no provider has the word
+ * @throws {Error} If every provider that was tried failed
+ */
 async function fetchDefinitionFromAPI(word) {
-	const url = `${DICTIONARY_API_BASE}/${encodeURIComponent(word)}`;
+	const { dictionaryProviders } = await getSettings();
+	let answered = false;
+	let lastError = null;
 	
-	try {
-		const response = await fetch(url);
+	for (const config of dictionaryProviders) {
+		const provider = DICTIONARY_PROVIDERS[config.type];
+		if (!config.enabled || !provider) continue;
 		
-		if (!response.ok) {
-			if (response.status === 404) {
-				console.log(`${EXTENSION_ID}: word not found: ${word}`);
-				return null;
+		try {
+			const entry = await provider.lookup(word, config);
+			answered = true;
+			if (entry && entry.meanings.length > 0) {
+				return entry;
 			}
-			throw new Error(`HTTP ${response.status}`);
+			console.log(`${EXTENSION_ID}: ${provider.name} has no entry for: ${word}`);
+		} catch (error) {
+			lastError = error;
+			console.error(`${EXTENSION_ID}: ${provider.name} failed for "${word}"`, error);
 		}
-		
-		const data = await response.json();
-		
-		if (!Array.isArray(data) || data.length === 0) {
-			return null;
+	}
+	
+	if (!answered && lastError) {
+		throw lastError;
+	}
+	
+	return null;
+}
+
+// ============================================================================
+// Definition Cache
+// ============================================================================
+
+/**
+ * @typedef {Object} CachedDefinition
+ * @property {DictionaryEntry | null} entry - Null records a "not found" result
+ * @property {number} cachedAt
+ * @property {number} lastUsedAt - Kept in memory and saved with the next change
+ * @property {number} size - Bytes of the serialized entry, in UTF-8
+ */
+
+/**
+ * @typedef {Object} LookupResult
+ * @property {DictionaryEntry | null} definition
+ * @property {'network' | 'cache' | 'stale'} source
+ * @property {boolean} offline - True if the network could not be reached
+ * @property {boolean} [uncached] - Offline with nothing cached, as opposed to a cached "not found"
+ */
+
+/** Well under the storage.local quota, which the rest of the extension shares */
+const CACHE_MAX_BYTES = 2 * 1024 * 1024;
+const CACHE_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+const CACHE_NEGATIVE_TTL_MS = 24 * 60 * 60 * 1000;
+const CACHE_PERSIST_DELAY_MS = 1000;
+const textEncoder = new TextEncoder();
+
+/** @type {Map<string, CachedDefinition> | null} */
+let definitionCache = null;
+let cachePersistTimeout = null;
+
+/**
+ * Loads the definition cache from storage on first use.
+ * @returns {Promise<Map<string, CachedDefinition>>}
+ */
+async function loadDefinitionCache() {
+	if (definitionCache) return definitionCache;
+	
+	try {
+		const result = await chrome.storage.local.get(CACHE_KEY);
+		// Results cached before trimming are trimmed as they load
+		definitionCache = new Map(Object.entries(result[CACHE_KEY] || {}).map(([key, cached]) => {
+			const entry = cached.entry && trimDictionaryEntry(cached.entry);
+			return [key, { ...cached, entry, size: getSerializedBytes(entry) }];
+		}));
+	} catch (error) {
+		console.error(`${EXTENSION_ID}: failed to load definition cache`, error);
+		definitionCache = new Map();
+	}
+	
+	return definitionCache;
+}
+
+/**
+ * Writes the definition cache to storage, batching rapid changes.
+ */
+function persistDefinitionCache() {
+	if (cachePersistTimeout) clearTimeout(cachePersistTimeout);
+	
+	cachePersistTimeout = setTimeout(async () => {
+		cachePersistTimeout = null;
+		try {
+			await chrome.storage.local.set({ [CACHE_KEY]: Object.fromEntries(definitionCache) });
+		} catch (error) {
+			console.error(`${EXTENSION_ID}: failed to persist definition cache`, error);
 		}
+	}, CACHE_PERSIST_DELAY_MS);
+}
+
+/**
+ * Keeps only the parts of a dictionary entry the extension shows, so
+ * more of them fit in the cache.
+ * @param {DictionaryEntry} entry
+ * @returns {DictionaryEntry}
+ */
+function trimDictionaryEntry(entry) {
+	return {
+		word: entry.word,
+		phonetic: entry.phonetic || '',
+		phonetics: (entry.phonetics || [])
+			.filter(p => p.text || p.audio)
+			.map(({ text, audio }) => ({ text: text || '', audio: audio || '' })),
+		meanings: normalizeMeanings(entry.meanings),
+	};
+}
+
+/**
+ * Keeps the senses and examples of dictionary meanings, dropping
+ * synonyms and anything malformed.
+ * @param {*} meanings
+ * @returns {Meaning[]}
+ */
+function normalizeMeanings(meanings) {
+	if (!Array.isArray(meanings)) return [];
+	
+	return meanings
+		.filter(meaning => typeof meaning?.partOfSpeech === 'string' && Array.isArray(meaning.definitions))
+		.map(({ partOfSpeech, definitions }) => ({
+			partOfSpeech,
+			definitions: definitions
+				.filter(def => typeof def?.definition === 'string')
+				.map(({ definition, example }) => ({ definition, example: typeof example === 'string' ? example : '' })),
+		}));
+}
+
+/**
+ * Checks whether a cached result is past its TTL.
+ * @param {CachedDefinition} cached
+ * @param {number} now
+ * @returns {boolean}
+ */
+function isCacheExpired(cached, now) {
+	const ttl = cached.entry ? CACHE_TTL_MS : CACHE_NEGATIVE_TTL_MS;
+	return now - cached.cachedAt > ttl;
+}
+
+/**
+ * Gets the serialized size of the cached results.
+ * @param {Map<string, CachedDefinition>} cache
+ * @returns {number}
+ */
+function getCacheBytes(cache) {
+	let bytes = 0;
+	for (const [key, cached] of cache) {
+		bytes += getSerializedBytes(key) + cached.size;
+	}
+	return bytes;
+}
+
+/**
+ * Measures a value as stored: its JSON in UTF-8 bytes.
+ * @param {*} value
+ * @returns {number}
+ */
+function getSerializedBytes(value) {
+	return textEncoder.encode(JSON.stringify(value)).length;
+}
+
+/**
+ * Stores a trimmed lookup result, evicting the least recently used
+ * results when the cache is over its size limit.
+ * @param {string} key
+ * @param {DictionaryEntry | null} entry
+ */
+async function cacheDefinition(key, entry) {
+	const cache = await loadDefinitionCache();
+	const now = Date.now();
+	const trimmed = entry && trimDictionaryEntry(entry);
+	
+	cache.set(key, { entry: trimmed, cachedAt: now, lastUsedAt: now, size: getSerializedBytes(trimmed) });
+	
+	let bytes = getCacheBytes(cache);
+	if (bytes > CACHE_MAX_BYTES) {
+		const byLastUse = [...cache].sort((a, b) => a[1].lastUsedAt - b[1].lastUsedAt);
+		for (const [staleKey, stale] of byLastUse) {
+			if (bytes <= CACHE_MAX_BYTES || staleKey === key) break;
+			cache.delete(staleKey);
+			bytes -= staleKey.length + stale.size;
+		}
+	}
+	
+	persistDefinitionCache();
+}
+
+/**
+ * Looks up a definition, serving fresh cached results instantly and
+ * falling back to expired ones when the network is unavailable.
+ * @param {string} word
+ * @returns {Promise<LookupResult>}
+ */
+async function lookupDefinition(word) {
+	const key = word.trim().toLowerCase();
+	const cache = await loadDefinitionCache();
+	const cached = cache.get(key);
+	const now = Date.now();
+	
+	if (cached) {
+		// Not persisted on its own; a write per hit would rewrite the whole cache
+		cached.lastUsedAt = now;
 		
-		const entry = data[0];
-		
-		// Extract phonetic
-		let phonetic = entry.phonetic || '';
-		if (!phonetic && entry.phonetics) {
-			const withText = entry.phonetics.find(p => p.text);
-			if (withText) phonetic = withText.text;
+		if (!isCacheExpired(cached, now)) {
+			return { definition: cached.entry, source: 'cache', offline: false };
+		}
+	}
+	
+	try {
+		const definition = await fetchDefinitionFromAPI(word);
+		await cacheDefinition(key, definition);
+		return { definition, source: 'network', offline: false };
+	} catch (error) {
+		console.log(`${EXTENSION_ID}: lookup failed, serving ${cached ? 'stale cache' : 'nothing'} for: ${word}`);
+		return { definition: cached?.entry || null, source: 'stale', offline: true, uncached: !cached };
+	}
+}
+
+/**
+ * @typedef {Object} ComponentMeaning
+ * @property {string} word - The word as it appears in the phrase
+ * @property {string} lemma
+ * @property {DictionaryEntry} definition
+ */
+
+/**
+ * @typedef {LookupResult & {lemma: string, components?: ComponentMeaning[]}} WordLookupResult
+ */
+
+const PHRASE_MAX_WORDS = 8;
+const ARTICLES = new Set(['a', 'an', 'the']);
+const OBJECT_PRONOUNS = new Set(['it', 'them', 'him', 'her', 'me', 'us', 'you', 'this', 'that']);
+const POSSESSIVE_PRONOUNS = new Set(['my', 'your', 'his', 'her', 'its', 'our', 'their']);
+const STOP_WORDS = new Set([
+	...ARTICLES, ...OBJECT_PRONOUNS, ...POSSESSIVE_PRONOUNS,
+	'i', 'he', 'she', 'we', 'they', 'and', 'or', 'but', 'of', 'to', 'in', 'on',
+	'at', 'by', 'for', 'with', 'as', 'is', 'are', 'was', 'were', 'be',
+]);
+
+/**
+ * Looks up a word by its candidate headwords first, falling back to the
+ * form as selected. Multi-word selections go through phrase lookup.
+ * @param {string} word
+ * @returns {Promise<WordLookupResult>}
+ */
+async function lookupWord(word) {
+	const surface = word.trim().toLowerCase().replace(/\s+/g, ' ');
+	
+	if (surface.includes(' ')) {
+		return lookupPhrase(surface);
+	}
+	
+	return lookupCandidates([...lemmatize(surface), surface], surface);
+}
+
+/**
+ * Tries lookup candidates in order, returning the first with a definition.
+ * @param {string[]} candidates
+ * @param {string} fallbackLemma - Reported when nothing is found
+ * @returns {Promise<WordLookupResult>}
+ */
+async function lookupCandidates(candidates, fallbackLemma) {
+	let offline = false;
+	let uncached = false;
+	
+	for (const candidate of candidates) {
+		const result = await lookupDefinition(candidate);
+		if (result.definition) {
+			return { ...result, lemma: candidate };
+		}
+		offline = offline || result.offline;
+		uncached = uncached || Boolean(result.uncached);
+	}
+	
+	return { definition: null, source: 'network', offline, uncached, lemma: fallbackLemma };
+}
+
+/**
+ * Generates dictionary forms of a phrase, most specific first:
+ * the verb lemmatized ("gave up" -> "give up"), object pronouns dropped
+ * ("give it up" -> "give up"), possessives generalized ("make up my mind"
+ * -> "make up one's mind"), articles stripped at the edges, and a
+ * trailing preposition removed ("give up on" -> "give up").
+ * @param {string} phrase - Lowercase, single-spaced
+ * @returns {string[]}
+ */
+function getPhraseVariants(phrase) {
+	const words = phrase.replace(/[^a-z'’ -]/g, '').split(' ').filter(word => /[a-z]/.test(word));
+	if (words.length === 0) return [];
+	
+	const variants = [words];
+	
+	const firstLemma = lemmatize(words[0])[0];
+	if (firstLemma) {
+		variants.push([firstLemma, ...words.slice(1)]);
+	}
+	
+	for (const base of [...variants]) {
+		const withoutObjects = base.filter((w, i) => i === 0 || !OBJECT_PRONOUNS.has(w));
+		const generalized = base.map((w, i) => i > 0 && POSSESSIVE_PRONOUNS.has(w) ? 'one\'s' : w);
+		variants.push(withoutObjects, generalized);
+	}
+	
+	for (const base of [...variants]) {
+		let start = 0;
+		let end = base.length;
+		while (start < end && ARTICLES.has(base[start])) start++;
+		while (end > start && ARTICLES.has(base[end - 1])) end--;
+		variants.push(base.slice(start, end));
+	}
+	
+	for (const base of [...variants]) {
+		if (base.length > 2 && STOP_WORDS.has(base[base.length - 1])) {
+			variants.push(base.slice(0, -1));
 		}
+	}
+	
+	const joined = variants.filter(v => v.length > 1).map(v => v.join(' '));
+	return [...new Set(joined)];
+}
+
+/**
+ * Looks up a phrase, then its dictionary forms, and finally falls back to
+ * the meanings of its content words.
+ * @param {string} phrase - Lowercase, single-spaced
+ * @returns {Promise<WordLookupResult>}
+ */
+async function lookupPhrase(phrase) {
+	const words = phrase.split(' ');
+	
+	if (words.length > PHRASE_MAX_WORDS) {
+		return { definition: null, source: 'network', offline: false, lemma: phrase };
+	}
+	
+	const candidates = [...new Set([phrase, ...getPhraseVariants(phrase)])];
+	const result = await lookupCandidates(candidates, phrase);
+	if (result.definition) {
+		return result;
+	}
+	
+	/** @type {ComponentMeaning[]} */
+	const components = [];
+	const seen = new Set();
+	let offline = result.offline;
+	let uncached = Boolean(result.uncached);
+	
+	for (const word of words) {
+		const clean = word.replace(/^[^a-z]+|[^a-z]+$/g, '');
+		if (!clean || STOP_WORDS.has(clean) || seen.has(clean)) continue;
+		seen.add(clean);
 		
-		return {
-			word: entry.word,
-			phonetic: phonetic,
-			phonetics: entry.phonetics || [],
-			meanings: (entry.meanings || []).map(m => ({
-				partOfSpeech: m.partOfSpeech,
-				definitions: (m.definitions || []).map(d => ({
-					definition: d.definition,
-					example: d.example || '',
-				})),
-			})),
-		};
+		const component = await lookupCandidates([...lemmatize(clean), clean], clean);
+		offline = offline || component.offline;
+		uncached = uncached || Boolean(component.uncached);
+		if (component.definition) {
+			components.push({ word: clean, lemma: component.lemma, definition: component.definition });
+		}
+	}
+	
+	return { ...result, offline, uncached, components };
+}
+
+/**
+ * Gets the number and size of cached results.
+ * @returns {Promise<{count: number, bytes: number, maxBytes: number}>}
+ */
+async function getDefinitionCacheStats() {
+	const cache = await loadDefinitionCache();
+	return { count: cache.size, bytes: getCacheBytes(cache), maxBytes: CACHE_MAX_BYTES };
+}
+
+/**
+ * Removes every cached result.
+ * @returns {Promise<boolean>}
+ */
+async function clearDefinitionCache() {
+	try {
+		if (cachePersistTimeout) clearTimeout(cachePersistTimeout);
+		cachePersistTimeout = null;
+		definitionCache = new Map();
+		await chrome.storage.local.remove(CACHE_KEY);
+		console.log(`${EXTENSION_ID}: definition cache cleared`);
+		return true;
 	} catch (error) {
-		console.error(`${EXTENSION_ID}: failed to fetch definition for "${word}"`, error);
-		return null;
+		console.error(`${EXTENSION_ID}: failed to clear definition cache`, error);
+		return false;
+	}
+}
+
+/**
+ * Fetches JSON from a URL. Returns null on 404.
+ * @param {string} url
+ * @returns {Promise<*>}
+ */
+async function fetchJSON(url) {
+	const response = await fetch(url);
+	
+	if (!response.ok) {
+		if (response.status === 404) {
+			return null;
+		}
+		throw new Error(`HTTP ${response.status}`);
+	}
+	
+	return response.json();
+}
+
+/**
+ * Resolves a dot-separated path such as `results.0.senses` in an object.
+ * An empty path returns the object itself.
+ * @param {*} obj
+ * @param {string} path
+ * @returns {*}
+ */
+function getPath(obj, path) {
+	if (!path) return obj;
+	return path.split('.').reduce((value, key) => value?.[key], obj);
+}
+
+// ============================================================================
+// Lemmatizer
+// ============================================================================
+
+/**
+ * Irregular inflections, keyed by headword. Forms are space-separated.
+ * @type {Record<string, string>}
+ */
+const IRREGULAR_FORMS = {
+	// Verbs
+	be: 'am is are was were been being',
+	have: 'has had having',
+	do: 'does did done doing',
+	go: 'goes went gone',
+	arise: 'arose arisen',
+	awake: 'awoke awoken',
+	bear: 'bore borne born',
+	beat: 'beaten',
+	become: 'became',
+	begin: 'began begun',
+	bend: 'bent',
+	bind: 'bound',
+	bite: 'bit bitten',
+	bleed: 'bled',
+	blow: 'blew blown',
+	break: 'broke broken',
+	breed: 'bred',
+	bring: 'brought',
+	build: 'built',
+	burn: 'burnt',
+	buy: 'bought',
+	catch: 'caught',
+	choose: 'chose chosen',
+	cling: 'clung',
+	come: 'came',
+	creep: 'crept',
+	deal: 'dealt',
+	dig: 'dug',
+	draw: 'drew drawn',
+	dream: 'dreamt',
+	drink: 'drank drunk',
+	drive: 'drove driven',
+	eat: 'ate eaten',
+	fall: 'fell fallen',
+	feed: 'fed',
+	feel: 'felt',
+	fight: 'fought',
+	find: 'found',
+	flee: 'fled',
+	fling: 'flung',
+	fly: 'flew flown',
+	forbid: 'forbade forbidden',
+	forget: 'forgot forgotten',
+	forgive: 'forgave forgiven',
+	freeze: 'froze frozen',
+	get: 'got gotten',
+	give: 'gave given',
+	grow: 'grew grown',
+	hang: 'hung',
+	hear: 'heard',
+	hide: 'hid hidden',
+	hold: 'held',
+	keep: 'kept',
+	kneel: 'knelt',
+	know: 'knew known',
+	lay: 'laid',
+	lead: 'led',
+	lean: 'leant',
+	leap: 'leapt',
+	learn: 'learnt',
+	lend: 'lent',
+	lie: 'lain lying',
+	die: 'dying',
+	tie: 'tying',
+	light: 'lit',
+	lose: 'lost',
+	make: 'made',
+	mean: 'meant',
+	meet: 'met',
+	mistake: 'mistook mistaken',
+	overcome: 'overcame',
+	pay: 'paid',
+	prove: 'proven',
+	ride: 'rode ridden',
+	ring: 'rang rung',
+	rise: 'rose risen',
+	run: 'ran',
+	say: 'said',
+	see: 'saw seen seeing',
+	seek: 'sought',
+	sell: 'sold',
+	send: 'sent',
+	sew: 'sewn',
+	shake: 'shook shaken',
+	shine: 'shone',
+	shoot: 'shot',
+	show: 'shown',
+	shrink: 'shrank shrunk',
+	sing: 'sang sung',
+	sink: 'sank sunk',
+	sit: 'sat',
+	sleep: 'slept',
+	slide: 'slid',
+	sling: 'slung',
+	speak: 'spoke spoken',
+	speed: 'sped',
+	spend: 'spent',
+	spin: 'spun',
+	spit: 'spat',
+	spring: 'sprang sprung',
+	stand: 'stood',
+	steal: 'stole stolen',
+	stick: 'stuck',
+	sting: 'stung',
+	stink: 'stank stunk',
+	stride: 'strode stridden',
+	strike: 'struck stricken',
+	string: 'strung',
+	strive: 'strove striven',
+	swear: 'swore sworn',
+	sweep: 'swept',
+	swim: 'swam swum',
+	swing: 'swung',
+	take: 'took taken',
+	teach: 'taught',
+	tear: 'tore torn',
+	tell: 'told',
+	think: 'thought',
+	throw: 'threw thrown',
+	tread: 'trod trodden',
+	understand: 'understood',
+	undertake: 'undertook undertaken',
+	wake: 'woke woken',
+	wear: 'wore worn',
+	weave: 'wove woven',
+	weep: 'wept',
+	win: 'won',
+	withdraw: 'withdrew withdrawn',
+	write: 'wrote written',
+	
+	// Nouns
+	analysis: 'analyses',
+	basis: 'bases',
+	child: 'children',
+	crisis: 'crises',
+	criterion: 'criteria',
+	foot: 'feet',
+	goose: 'geese',
+	hypothesis: 'hypotheses',
+	knife: 'knives',
+	leaf: 'leaves',
+	life: 'lives',
+	louse: 'lice',
+	man: 'men',
+	mouse: 'mice',
+	ox: 'oxen',
+	person: 'people',
+	phenomenon: 'phenomena',
+	self: 'selves',
+	thesis: 'theses',
+	tooth: 'teeth',
+	wife: 'wives',
+	wolf: 'wolves',
+	woman: 'women',
+	
+	// Adjectives and adverbs
+	bad: 'worse worst',
+	far: 'farther farthest further furthest',
+	good: 'better best',
+	little: 'less least',
+	many: 'more most',
+};
+
+/**
+ * Words that look inflected but are headwords themselves.
+ * @type {Set<string>}
+ */
+const LEMMA_EXCEPTIONS = new Set(`
+	always news series species perhaps whereas thus towards afterwards besides
+	during morning evening nothing something anything everything thing king ring sing
+	bring spring string swing wing sting ceiling building feeling meaning
+	red bed need feed seed speed shed hundred kindred sacred naked wicked
+	proceed succeed exceed its yes
+	economics physics mathematics politics ethics linguistics genetics athletics gymnastics
+	gas atlas canvas alias bias christmas pancreas
+	under over ever never however after water paper number other another
+	mother father brother sister either neither whether together rather
+	`.trim().split(/\s+/));
+
+/** @type {Map<string, string>} */
+const IRREGULAR_LEMMAS = new Map(
+	Object.entries(IRREGULAR_FORMS).flatMap(([lemma, forms]) =>
+		forms.split(' ').map(form => [form, lemma]))
+);
+
+/**
+ * Returns candidate stems for a word with its -ed or -ing removed,
+ * most likely first.
+ * @param {string} stem
+ * @returns {string[]}
+ */
+function getVerbStems(stem) {
+	if (stem.length < 2 || !/[aeiouy]/.test(stem)) {
+		return [];
+	}
+	
+	const syllables = stem.match(/[aeiouy]+/g).length;
+	
+	// running -> run, stopped -> stop, but added -> add
+	if (/([^aeiouslz])\1$/.test(stem)) {
+		const short = stem.slice(0, -1);
+		return /[^aeiou][aeiou][^aeiouwxy]$/.test(short) ? [short, stem] : [stem];
+	}
+	
+	// travelled -> travel, controlled -> control, but filled -> fill, installed -> install
+	if (syllables > 1 && /ll$/.test(stem)) {
+		const short = stem.slice(0, -1);
+		return /all$/.test(stem) ? [stem, short] : [short, stem];
+	}
+	
+	// panicked -> panic, but picked -> pick
+	if (syllables > 1 && /ick$/.test(stem)) {
+		return [stem.slice(0, -1), stem];
+	}
+	
+	// singing -> sing, changing -> change
+	if (/ng$/.test(stem)) {
+		return [stem, stem + 'e'];
+	}
+	
+	// making -> make, typed -> type, used -> use, dyed -> dye, loved -> love,
+	// danced -> dance; no word ends in -v
+	if ((syllables === 1 && /[^aeiou][aeiouy][^aeiouwxy]$|^[aeiou][^aeiouwxy]$|^[^aeiou]y$/.test(stem)) ||
+		/v$|[^aeiou][cguz]$/.test(stem)) {
+		return [stem + 'e', stem];
+	}
+	
+	// opened -> open, caused -> cause
+	return [stem, stem + 'e'];
+}
+
+/**
+ * Returns candidate headwords for an English word form, most likely first.
+ * The word itself is not included. Multi-word input is not lemmatized.
+ * @param {string} word
+ * @returns {string[]}
+ */
+function lemmatize(word) {
+	const lower = word.trim().toLowerCase().replace(/’/g, '\'');
+	
+	if (!/^[a-z'-]+$/.test(lower) || LEMMA_EXCEPTIONS.has(lower)) {
+		return [];
+	}
+	
+	if (IRREGULAR_LEMMAS.has(lower)) {
+		return [IRREGULAR_LEMMAS.get(lower)];
+	}
+	
+	/** @type {string[]} */
+	let candidates = [];
+	
+	if (/'s?$/.test(lower)) {
+		// Possessives
+		candidates = [lower.replace(/'s?$/, '')];
+	} else if (/..ies$/.test(lower)) {
+		// cities -> city
+		candidates = [lower.slice(0, -3) + 'y'];
+	} else if (/(ss|x|ch|sh|zz)es$/.test(lower)) {
+		// boxes -> box, caches -> cache, quizzes -> quiz
+		candidates = [lower.slice(0, -2), lower.slice(0, -1), ...(/zzes$/.test(lower) ? [lower.slice(0, -3)] : [])];
+	} else if (/[^sui]s$/.test(lower)) {
+		// "class", "bus" and "analysis" are not plurals
+		candidates = [lower.slice(0, -1)];
+	} else if (/..ied$/.test(lower)) {
+		candidates = [lower.slice(0, -3) + 'y'];
+	} else if (/..eed$/.test(lower)) {
+		// agreed -> agree
+		candidates = [lower.slice(0, -1)];
+	} else if (/ed$/.test(lower)) {
+		candidates = getVerbStems(lower.slice(0, -2));
+	} else if (/ing$/.test(lower)) {
+		candidates = getVerbStems(lower.slice(0, -3));
+	} else if (/..ier$/.test(lower)) {
+		// happier -> happy
+		candidates = [lower.slice(0, -3) + 'y'];
+	} else if (/..iest$/.test(lower)) {
+		candidates = [lower.slice(0, -4) + 'y'];
+	} else if (/([^aeiouslz])\1(er|est)$/.test(lower)) {
+		// bigger -> big
+		candidates = [lower.replace(/(.)(er|est)$/, '')];
+	}
+	
+	return [...new Set(candidates)].filter(c => c.length > 1 && c !== lower);
+}
+
+// ============================================================================
+// Entry Database
+// ============================================================================
+
+const DB_NAME = 'venustum';
+const DB_VERSION = 3;
+const ENTRY_STORE = 'entries';
+/** Deleted entry IDs with when they were deleted, so sync can delete them elsewhere */
+const TOMBSTONE_STORE = 'tombstones';
+
+/** @type {Promise<IDBDatabase> | null} */
+let databasePromise = null;
+
+/**
+ * Opens the entry database, creating its indexes on first use and moving
+ * entries over from the old single-array storage key.
+ * @returns {Promise<IDBDatabase>}
+ */
+function getDatabase() {
+	if (!databasePromise) {
+		databasePromise = openDatabase()
+			.then(async (db) => {
+				await migrateLegacyEntries(db);
+				return db;
+			})
+			.catch((error) => {
+				databasePromise = null;
+				throw error;
+			});
+	}
+	return databasePromise;
+}
+
+/**
+ * Opens the database, upgrading the schema when needed.
+ * @returns {Promise<IDBDatabase>}
+ */
+function openDatabase() {
+	return new Promise((resolve, reject) => {
+		const request = indexedDB.open(DB_NAME, DB_VERSION);
+		
+		request.onupgradeneeded = (event) => {
+			const db = request.result;
+			
+			if (event.oldVersion < 1) {
+				const store = db.createObjectStore(ENTRY_STORE, { keyPath: 'id' });
+				store.createIndex('headword', 'lemma');
+				store.createIndex('createdAt', 'createdAt');
+				store.createIndex('partOfSpeech', 'partOfSpeech');
+				store.createIndex('sourceUrl', 'sourceUrl');
+				store.createIndex('tags', 'tags', { multiEntry: true });
+			}
+			if (event.oldVersion < 2) {
+				db.createObjectStore(TOMBSTONE_STORE, { keyPath: 'id' });
+			}
+			if (event.oldVersion < 3) {
+				const store = request.transaction.objectStore(ENTRY_STORE);
+				store.deleteIndex('sourceUrl');
+				store.createIndex('sourceUrls', 'sourceUrls', { multiEntry: true });
+				if (event.oldVersion > 0) {
+					upgradeToContexts(request.transaction);
+				}
+			}
+		};
+		request.onsuccess = () => resolve(request.result);
+		request.onerror = () => reject(request.error);
+		request.onblocked = () => reject(new Error('database upgrade blocked'));
+	});
+}
+
+/**
+ * Converts stored entries to contexts within the upgrade transaction,
+ * folding entries of the same headword into one. Folded-away entries
+ * get tombstones so synced devices drop them too.
+ * @param {IDBTransaction} tx - The version change transaction
+ */
+function upgradeToContexts(tx) {
+	const store = tx.objectStore(ENTRY_STORE);
+	const tombstones = tx.objectStore(TOMBSTONE_STORE);
+	const request = store.getAll();
+	
+	request.onsuccess = () => {
+		const { entries, removedIds } = foldEntries(request.result.map(toStoredEntry));
+		const deletedAt = Date.now();
+		
+		for (const id of removedIds) {
+			store.delete(id);
+			tombstones.put({ id, deletedAt });
+		}
+		for (const entry of entries) {
+			store.put(entry);
+		}
+		console.log(`${EXTENSION_ID}: folded ${removedIds.length} duplicate entries into contexts`);
+	};
+}
+
+/**
+ * Moves entries saved under the old storage key into the database,
+ * folding entries of the same headword into one.
+ * Runs once: the key is removed after the entries are written.
+ * @param {IDBDatabase} db
+ */
+async function migrateLegacyEntries(db) {
+	const result = await chrome.storage.local.get(STORAGE_KEY);
+	const legacy = result[STORAGE_KEY];
+	if (!Array.isArray(legacy)) return;
+	
+	const { entries } = foldEntries(legacy.map(toStoredEntry));
+	const tx = db.transaction(ENTRY_STORE, 'readwrite');
+	const store = tx.objectStore(ENTRY_STORE);
+	for (const entry of entries) {
+		store.put(entry);
+	}
+	await transactionDone(tx);
+	
+	await chrome.storage.local.remove(STORAGE_KEY);
+	console.log(`${EXTENSION_ID}: migrated ${legacy.length} entries to IndexedDB`);
+}
+
+/**
+ * Prepares an entry for the database, filling the fields it is indexed
+ * by. A single sentence and source, as in drafts and entries stored
+ * before contexts, becomes the first context.
+ * @param {SavedEntry | EntryDraft} entry
+ * @returns {SavedEntry}
+ */
+function toStoredEntry(entry) {
+	const { sentence, sourceUrl, sourceTitle, ...rest } = entry;
+	
+	let contexts = entry.contexts;
+	if (!Array.isArray(contexts)) {
+		contexts = sentence || sourceUrl
+			? [{ word: entry.word, sentence: sentence || '', sourceUrl: sourceUrl || '', sourceTitle: sourceTitle || '', savedAt: entry.createdAt }]
+			: [];
+	}
+	
+	return {
+		...rest,
+		lemma: getHeadword(entry),
+		contexts,
+		sourceUrls: [...new Set(contexts.map(c => c.sourceUrl).filter(Boolean))],
+		tags: normalizeTags(entry.tags),
+		updatedAt: entry.updatedAt ?? entry.createdAt,
+	};
+}
+
+/**
+ * Wraps an IndexedDB request in a promise.
+ * @template T
+ * @param {IDBRequest<T>} request
+ * @returns {Promise<T>}
+ */
+function requestResult(request) {
+	return new Promise((resolve, reject) => {
+		request.onsuccess = () => resolve(request.result);
+		request.onerror = () => reject(request.error);
+	});
+}
+
+/**
+ * Resolves when a transaction commits, rejects when it fails or aborts.
+ * @param {IDBTransaction} tx
+ * @returns {Promise<void>}
+ */
+function transactionDone(tx) {
+	return new Promise((resolve, reject) => {
+		tx.oncomplete = () => resolve();
+		tx.onerror = () => reject(tx.error);
+		tx.onabort = () => reject(tx.error || new Error('transaction aborted'));
+	});
+}
+
+/**
+ * Starts a transaction on the entry store.
+ * @param {IDBTransactionMode} mode
+ * @returns {Promise<{tx: IDBTransaction, store: IDBObjectStore}>}
+ */
+async function entryTransaction(mode) {
+	const db = await getDatabase();
+	const tx = db.transaction(ENTRY_STORE, mode);
+	return { tx, store: tx.objectStore(ENTRY_STORE) };
+}
+
+/**
+ * Tells listeners (badge, content scripts, sync) that entries changed.
+ * The database has no change events, so a storage key is bumped instead.
+ * @param {'local' | 'sync'} [source] - Changes made by sync are not synced back
+ * @param {string[]} [headwords] - Headwords of the changed entries; omitted when too many to list
+ */
+async function notifyEntriesChanged(source = 'local', headwords) {
+	try {
+		const revision = { changedAt: Date.now(), source };
+		if (headwords) {
+			revision.headwords = [...new Set(headwords)];
+		}
+		await chrome.storage.local.set({ [ENTRIES_REVISION_KEY]: revision });
+	} catch (error) {
+		console.error(`${EXTENSION_ID}: failed to notify entry change`, error);
+	}
+}
+
+// ============================================================================
+// Contexts
+// ============================================================================
+
+/**
+ * Gets the context the word was last met in.
+ * @param {SavedEntry} entry
+ * @returns {EntryContext | null}
+ */
+function getLatestContext(entry) {
+	return entry.contexts[entry.contexts.length - 1] || null;
+}
+
+/**
+ * Checks whether two contexts record the same encounter: the same
+ * sentence, or the same page when neither has a sentence.
+ * @param {EntryContext} a
+ * @param {EntryContext} b
+ * @returns {boolean}
+ */
+function isSameContext(a, b) {
+	return a.sentence === b.sentence && (a.sentence !== '' || a.sourceUrl === b.sourceUrl);
+}
+
+/**
+ * Adds a context to an entry unless it records the same encounter as
+ * one already there.
+ * @param {SavedEntry} entry
+ * @param {EntryContext} context
+ * @returns {boolean} Whether the context was added
+ */
+function addContext(entry, context) {
+	if (entry.contexts.some(c => isSameContext(c, context))) {
+		return false;
+	}
+	entry.contexts.push(context);
+	entry.contexts.sort((a, b) => a.savedAt - b.savedAt);
+	return true;
+}
+
+/**
+ * Folds entries of the same headword into one. The earliest saved
+ * entry is kept, so every device folds the same set the same way.
+ * @param {SavedEntry[]} entries
+ * @returns {{entries: SavedEntry[], folded: SavedEntry[], removedIds: string[]}}
+ */
+function foldEntries(entries) {
+	/** @type {Map<string, SavedEntry[]>} */
+	const groups = new Map();
+	for (const entry of entries) {
+		const headword = getHeadword(entry);
+		groups.set(headword, [...(groups.get(headword) || []), entry]);
+	}
+	
+	const result = { entries: [], folded: [], removedIds: [] };
+	for (const group of groups.values()) {
+		if (group.length === 1) {
+			result.entries.push(group[0]);
+			continue;
+		}
+		
+		const combined = combineEntries(group);
+		result.entries.push(combined);
+		result.folded.push(combined);
+		result.removedIds.push(...group.filter(e => e.id !== combined.id).map(e => e.id));
+	}
+	return result;
+}
+
+/**
+ * Combines entries of one headword: contexts, tags and quiz results are
+ * pooled, blank fields are filled from later entries and the furthest
+ * review progress is kept.
+ * @param {SavedEntry[]} group
+ * @returns {SavedEntry}
+ */
+function combineEntries(group) {
+	const [first, ...rest] = [...group].sort((a, b) => a.createdAt - b.createdAt || a.id.localeCompare(b.id));
+	const combined = { ...first, contexts: [...first.contexts] };
+	
+	for (const entry of rest) {
+		entry.contexts.forEach(context => addContext(combined, context));
+		combined.tags = normalizeTags([...combined.tags, ...entry.tags]);
+		
+		for (const field of ['definition', 'partOfSpeech', 'phonetic', 'audio']) {
+			if (!combined[field] && entry[field]) {
+				combined[field] = entry[field];
+			}
+		}
+		if (!combined.meanings?.length && entry.meanings?.length) {
+			combined.meanings = entry.meanings;
+		}
+		if (entry.note && !combined.note?.includes(entry.note)) {
+			combined.note = combined.note ? `${combined.note}\n${entry.note}` : entry.note;
+		}
+		if (entry.review && (entry.review.repetitions > (combined.review?.repetitions ?? -1))) {
+			combined.review = entry.review;
+		}
+		if (entry.quiz) {
+			combined.quiz = combineQuizRecords(combined.quiz, entry.quiz);
+		}
+	}
+	
+	combined.updatedAt = Date.now();
+	return toStoredEntry(combined);
+}
+
+// ============================================================================
+// Storage Operations
+// ============================================================================
+
+/**
+ * Gets all saved entries, newest first.
+ * @returns {Promise<SavedEntry[]>}
+ */
+async function getEntries() {
+	try {
+		const { store } = await entryTransaction('readonly');
+		const entries = await requestResult(store.index('createdAt').getAll());
+		return entries.reverse();
+	} catch (error) {
+		console.error(`${EXTENSION_ID}: failed to get entries`, error);
+		return [];
+	}
+}
+
+/**
+ * Gets the entries saved under any of the given headwords.
+ * @param {string[]} headwords
+ * @returns {Promise<SavedEntry[]>}
+ */
+async function getEntriesByHeadword(headwords) {
+	try {
+		const { store } = await entryTransaction('readonly');
+		const index = store.index('headword');
+		const results = await Promise.all(headwords.map(headword => requestResult(index.getAll(headword))));
+		return results.flat();
+	} catch (error) {
+		console.error(`${EXTENSION_ID}: failed to get entries by headword`, error);
+		return [];
+	}
+}
+
+/**
+ * Gets an entry by ID.
+ * @param {string} id
+ * @returns {Promise<SavedEntry | null>}
+ */
+async function getEntry(id) {
+	try {
+		const { store } = await entryTransaction('readonly');
+		return (await requestResult(store.get(id))) || null;
+	} catch (error) {
+		console.error(`${EXTENSION_ID}: failed to get entry`, error);
+		return null;
+	}
+}
+
+/**
+ * Gets the entry saved under a headword.
+ * @param {string} headword
+ * @returns {Promise<SavedEntry | null>}
+ */
+async function findEntry(headword) {
+	try {
+		const { store } = await entryTransaction('readonly');
+		const [entry] = await requestResult(store.index('headword').getAll(headword.toLowerCase()));
+		return entry || null;
+	} catch (error) {
+		console.error(`${EXTENSION_ID}: failed to find entry`, error);
+		return null;
+	}
+}
+
+/**
+ * Counts saved entries.
+ * @returns {Promise<number>}
+ */
+async function countEntries() {
+	try {
+		const { store } = await entryTransaction('readonly');
+		return await requestResult(store.count());
+	} catch (error) {
+		console.error(`${EXTENSION_ID}: failed to count entries`, error);
+		return 0;
+	}
+}
+
+/**
+ * @typedef {Object} EntryQuery
+ * @property {string} [search] - Matched against word, headword, definition, note, context sentences and titles, and tags
+ * @property {string} [partOfSpeech]
+ * @property {string} [domain] - Hostname of any context's source page
+ * @property {string} [tag]
+ * @property {'newest' | 'oldest' | 'alphabetical' | 'reverse-alphabetical' | 'part-of-speech' | 'source' | 'due'} [sort]
+ * @property {number} [offset]
+ * @property {number} [limit]
+ */
+
+/**
+ * @typedef {Object} EntryPage
+ * @property {SavedEntry[]} entries - The requested page of matching entries
+ * @property {number} matched - Number of entries matching the query
+ * @property {number} total - Number of entries saved
+ */
+
+/** @type {Record<string, (a: SavedEntry, b: SavedEntry) => number>} */
+const ENTRY_SORTERS = {
+	newest: (a, b) => b.createdAt - a.createdAt,
+	oldest: (a, b) => a.createdAt - b.createdAt,
+	alphabetical: (a, b) => a.word.localeCompare(b.word, 'en', { sensitivity: 'base' }),
+	'reverse-alphabetical': (a, b) => b.word.localeCompare(a.word, 'en', { sensitivity: 'base' }),
+	'part-of-speech': (a, b) => (a.partOfSpeech || '').localeCompare(b.partOfSpeech || '') || ENTRY_SORTERS.alphabetical(a, b),
+	source: (a, b) => (getLatestContext(a)?.sourceUrl || '').localeCompare(getLatestContext(b)?.sourceUrl || '') || b.createdAt - a.createdAt,
+	due: (a, b) => getReviewState(a).dueAt - getReviewState(b).dueAt,
+};
+
+/**
+ * Gets one page of entries matching a query. Unfiltered date-ordered
+ * pages are read straight from the date index; otherwise the tag index
+ * narrows the candidates before the remaining filters run.
+ * @param {EntryQuery} query
+ * @returns {Promise<EntryPage>}
+ */
+async function queryEntries(query = {}) {
+	const offset = Math.max(0, Number(query.offset) || 0);
+	const limit = Math.max(1, Number(query.limit) || Infinity);
+	const sort = ENTRY_SORTERS[query.sort] ? query.sort : 'newest';
+	const search = (query.search || '').trim().toLowerCase();
+	
+	try {
+		const { store } = await entryTransaction('readonly');
+		const total = await requestResult(store.count());
+		
+		if (!search && !query.partOfSpeech && !query.domain && !query.tag && (sort === 'newest' || sort === 'oldest')) {
+			const entries = await readIndexPage(store.index('createdAt'), sort === 'newest' ? 'prev' : 'next', offset, limit);
+			return { entries, matched: total, total };
+		}
+		
+		const candidates = query.tag
+			? await requestResult(store.index('tags').getAll(query.tag))
+			: await requestResult(store.getAll());
+		
+		const matches = candidates.filter(entry => {
+			if (query.partOfSpeech && entry.partOfSpeech !== query.partOfSpeech) return false;
+			if (query.domain && !entry.contexts.some(c => getSourceDomain(c) === query.domain)) return false;
+			if (!search) return true;
+			
+			return [
+				entry.word, entry.lemma, entry.definition, entry.note,
+				...entry.contexts.flatMap(c => [c.sentence, c.sourceTitle]),
+				...(entry.tags || []),
+			].some(field => field?.toLowerCase().includes(search));
+		});
+		
+		matches.sort(ENTRY_SORTERS[sort]);
+		
+		return {
+			entries: matches.slice(offset, offset + limit),
+			matched: matches.length,
+			total,
+		};
+	} catch (error) {
+		console.error(`${EXTENSION_ID}: failed to query entries`, error);
+		return { entries: [], matched: 0, total: 0 };
+	}
+}
+
+/**
+ * Reads a page of records from an index with a cursor.
+ * @param {IDBIndex} index
+ * @param {IDBCursorDirection} direction
+ * @param {number} offset
+ * @param {number} limit
+ * @returns {Promise<SavedEntry[]>}
+ */
+function readIndexPage(index, direction, offset, limit) {
+	return new Promise((resolve, reject) => {
+		const entries = [];
+		let skipped = offset === 0;
+		const request = index.openCursor(null, direction);
+		
+		request.onsuccess = () => {
+			const cursor = request.result;
+			if (!cursor) {
+				resolve(entries);
+				return;
+			}
+			if (!skipped) {
+				skipped = true;
+				cursor.advance(offset);
+				return;
+			}
+			
+			entries.push(cursor.value);
+			if (entries.length >= limit) {
+				resolve(entries);
+				return;
+			}
+			cursor.continue();
+		};
+		request.onerror = () => reject(request.error);
+	});
+}
+
+/**
+ * Collects the distinct keys of an index.
+ * @param {IDBIndex} index
+ * @returns {Promise<IDBValidKey[]>}
+ */
+function readUniqueKeys(index) {
+	return new Promise((resolve, reject) => {
+		const keys = [];
+		const request = index.openKeyCursor(null, 'nextunique');
+		
+		request.onsuccess = () => {
+			const cursor = request.result;
+			if (!cursor) {
+				resolve(keys);
+				return;
+			}
+			keys.push(cursor.key);
+			cursor.continue();
+		};
+		request.onerror = () => reject(request.error);
+	});
+}
+
+/**
+ * Gets the values entries can be filtered by.
+ * @returns {Promise<{partsOfSpeech: string[], domains: string[], tags: string[]}>}
+ */
+async function getEntryFacets() {
+	try {
+		const { store } = await entryTransaction('readonly');
+		const [partsOfSpeech, sourceUrls, tags] = await Promise.all([
+			readUniqueKeys(store.index('partOfSpeech')),
+			readUniqueKeys(store.index('sourceUrls')),
+			readUniqueKeys(store.index('tags')),
+		]);
+		
+		const domains = new Set(sourceUrls.map(url => getSourceDomain({ sourceUrl: url })));
+		
+		return {
+			partsOfSpeech: partsOfSpeech.filter(Boolean),
+			domains: [...domains].filter(Boolean).sort(),
+			tags,
+		};
+	} catch (error) {
+		console.error(`${EXTENSION_ID}: failed to get entry facets`, error);
+		return { partsOfSpeech: [], domains: [], tags: [] };
+	}
+}
+
+/**
+ * Gets the hostname of a context's source page.
+ * @param {{sourceUrl: string}} context
+ * @returns {string}
+ */
+function getSourceDomain(context) {
+	try {
+		return new URL(context.sourceUrl).hostname;
+	} catch {
+		return '';
+	}
+}
+
+/**
+ * Gets the key entries are grouped by: the headword if known, else the word.
+ * @param {SavedEntry | EntryDraft} entry
+ * @returns {string}
+ */
+function getHeadword(entry) {
+	return (entry.lemma || entry.word).toLowerCase();
+}
+
+/**
+ * @typedef {Object} SavedWord
+ * @property {string} headword
+ * @property {string[]} forms - Headword and every form it was saved as, lowercase
+ * @property {string} definition
+ * @property {string} partOfSpeech
+ * @property {string} phonetic
+ */
+
+/**
+ * Gets one compact record per saved headword, for marking words on pages.
+ * @param {string[]} [headwords] - Restricts the records to these headwords
+ * @returns {Promise<SavedWord[]>}
+ */
+async function getSavedWords(headwords) {
+	const entries = headwords ? await getEntriesByHeadword(headwords) : await getEntries();
+	/** @type {Map<string, SavedWord>} */
+	const words = new Map();
+	
+	for (const entry of entries) {
+		const headword = getHeadword(entry);
+		
+		if (!words.has(headword)) {
+			words.set(headword, {
+				headword,
+				forms: [headword],
+				definition: entry.definition,
+				partOfSpeech: entry.partOfSpeech,
+				phonetic: entry.phonetic,
+			});
+		}
+		
+		const saved = words.get(headword);
+		for (const word of [entry.word, ...entry.contexts.map(c => c.word)]) {
+			const form = word.toLowerCase();
+			if (!saved.forms.includes(form)) {
+				saved.forms.push(form);
+			}
+		}
+		if (!saved.definition && entry.definition) {
+			saved.definition = entry.definition;
+			saved.partOfSpeech = entry.partOfSpeech;
+		}
+	}
+	
+	return [...words.values()];
+}
+
+/**
+ * Saves a word. When its headword is already saved, the draft's sentence
+ * is added to that entry as a new context instead, unless it is already
+ * there. The check and the write share one transaction, so saves
+ * arriving together cannot drop each other.
+ * @param {EntryDraft} draft
+ * @returns {Promise<boolean>}
+ */
+async function saveEntry(draft) {
+	try {
+		const stored = toStoredEntry({ ...draft, meanings: normalizeMeanings(draft.meanings), updatedAt: Date.now() });
+		const { tx, store } = await entryTransaction('readwrite');
+		const done = transactionDone(tx);
+		
+		const [existing] = await requestResult(store.index('headword').getAll(stored.lemma));
+		if (existing) {
+			const added = stored.contexts.filter(context => addContext(existing, context));
+			if (added.length === 0) {
+				tx.abort();
+				await done.catch(() => {});
+				console.log(`${EXTENSION_ID}: entry already exists`);
+				return false;
+			}
+			
+			existing.tags = normalizeTags([...existing.tags, ...stored.tags]);
+			if (!existing.meanings?.length) {
+				existing.meanings = stored.meanings;
+			}
+			existing.updatedAt = stored.updatedAt;
+			store.put(toStoredEntry(existing));
+		} else {
+			store.add(stored);
+		}
+		await done;
+		await notifyEntriesChanged('local', [stored.lemma]);
+		
+		console.log(`${EXTENSION_ID}: entry saved`, existing?.id ?? stored.id);
+		return true;
+	} catch (error) {
+		console.error(`${EXTENSION_ID}: failed to save entry`, error);
+		return false;
+	}
+}
+
+/**
+ * Applies a change to one entry in a single transaction.
+ * @param {string} id
+ * @param {(entry: SavedEntry) => void} change - Mutates the entry
+ * @returns {Promise<SavedEntry | null>} The updated entry, or null if not found or on failure
+ */
+async function updateEntry(id, change) {
+	try {
+		const { tx, store } = await entryTransaction('readwrite');
+		const done = transactionDone(tx);
+		
+		const entry = await requestResult(store.get(id));
+		if (!entry) {
+			tx.abort();
+			await done.catch(() => {});
+			console.log(`${EXTENSION_ID}: entry not found: ${id}`);
+			return null;
+		}
+		
+		change(entry);
+		entry.updatedAt = Date.now();
+		store.put(toStoredEntry(entry));
+		await done;
+		await notifyEntriesChanged('local', [entry.lemma]);
+		return entry;
+	} catch (error) {
+		console.error(`${EXTENSION_ID}: failed to update entry`, error);
+		return null;
+	}
+}
+
+/** Entry fields the user can edit after saving */
+const EDITABLE_FIELDS = ['definition', 'partOfSpeech', 'note'];
+const MAX_FIELD_LENGTH = 2000;
+
+/**
+ * Edits the user-editable fields of an entry, ignoring anything else.
+ * Context sentences are edited through `sentences`, one per context in
+ * order, where null removes that context.
+ * @param {string} id
+ * @param {Partial<SavedEntry> & {sentences?: (string | null)[]}} changes
+ * @returns {Promise<SavedEntry | null>} The updated entry, or null if not found or on failure
+ */
+async function editEntry(id, changes) {
+	const fields = {};
+	for (const field of EDITABLE_FIELDS) {
+		if (typeof changes?.[field] === 'string') {
+			fields[field] = changes[field].trim().slice(0, MAX_FIELD_LENGTH);
+		}
+	}
+	
+	const sentences = Array.isArray(changes?.sentences) &&
+		changes.sentences.every(s => s === null || typeof s === 'string')
+		? changes.sentences
+		: null;
+	
+	if (Object.keys(fields).length === 0 && !sentences) {
+		console.log(`${EXTENSION_ID}: nothing to update for entry ${id}`);
+		return null;
+	}
+	
+	return updateEntry(id, (entry) => {
+		Object.assign(entry, fields);
+		
+		// Ignored if contexts were added or removed since the form was opened
+		if (sentences?.length === entry.contexts.length) {
+			entry.contexts = entry.contexts
+				.map((context, i) => sentences[i] === null
+					? null
+					: { ...context, sentence: sentences[i].trim().slice(0, MAX_FIELD_LENGTH) })
+				.filter(Boolean);
+		}
+	});
+}
+
+/**
+ * Applies a change to every entry matching an index key, in a single transaction.
+ * @param {string} indexName
+ * @param {IDBValidKey} key
+ * @param {(entry: SavedEntry) => void} change - Mutates the entry
+ * @returns {Promise<number>} Number of entries changed
+ */
+async function updateEntriesByIndex(indexName, key, change) {
+	const { tx, store } = await entryTransaction('readwrite');
+	const done = transactionDone(tx);
+	
+	const entries = await requestResult(store.index(indexName).getAll(key));
+	for (const entry of entries) {
+		change(entry);
+		entry.updatedAt = Date.now();
+		store.put(toStoredEntry(entry));
+	}
+	
+	await done;
+	if (entries.length > 0) {
+		await notifyEntriesChanged('local', entries.map(entry => entry.lemma));
+	}
+	return entries.length;
+}
+
+/**
+ * Applies a change to each of the given entries, in a single transaction.
+ * Unknown ids are skipped.
+ * @param {string[]} ids
+ * @param {(entry: SavedEntry) => void} change - Mutates the entry
+ * @returns {Promise<number>} Number of entries changed
+ */
+async function updateEntries(ids, change) {
+	const { tx, store } = await entryTransaction('readwrite');
+	const done = transactionDone(tx);
+	
+	const headwords = [];
+	for (const id of ids) {
+		const entry = await requestResult(store.get(id));
+		if (!entry) continue;
+		change(entry);
+		entry.updatedAt = Date.now();
+		store.put(toStoredEntry(entry));
+		headwords.push(entry.lemma);
+	}
+	
+	await done;
+	if (headwords.length > 0) {
+		await notifyEntriesChanged('local', headwords);
+	}
+	return headwords.length;
+}
+
+/**
+ * Deletes an entry from storage.
+ * @param {string} id
+ * @returns {Promise<boolean>}
+ */
+async function deleteEntry(id) {
+	return deleteEntries([id]);
+}
+
+/**
+ * Deletes several entries in a single transaction.
+ * @param {string[]} ids
+ * @returns {Promise<boolean>}
+ */
+async function deleteEntries(ids) {
+	try {
+		const db = await getDatabase();
+		const tx = db.transaction([ENTRY_STORE, TOMBSTONE_STORE], 'readwrite');
+		const store = tx.objectStore(ENTRY_STORE);
+		const tombstones = tx.objectStore(TOMBSTONE_STORE);
+		const deletedAt = Date.now();
+		const done = transactionDone(tx);
+		
+		const deleted = await Promise.all(ids.map(id => requestResult(store.get(id))));
+		for (const id of ids) {
+			store.delete(id);
+			tombstones.put({ id, deletedAt });
+		}
+		await done;
+		await notifyEntriesChanged('local', deleted.filter(Boolean).map(entry => entry.lemma));
+		
+		console.log(`${EXTENSION_ID}: ${ids.length} entries deleted`);
+		return true;
+	} catch (error) {
+		console.error(`${EXTENSION_ID}: failed to delete entries`, error);
+		return false;
+	}
+}
+
+/**
+ * Clears all entries from storage.
+ * @returns {Promise<boolean>}
+ */
+async function clearAllEntries() {
+	try {
+		const db = await getDatabase();
+		const tx = db.transaction([ENTRY_STORE, TOMBSTONE_STORE], 'readwrite');
+		const store = tx.objectStore(ENTRY_STORE);
+		const tombstones = tx.objectStore(TOMBSTONE_STORE);
+		const deletedAt = Date.now();
+		
+		for (const id of await requestResult(store.getAllKeys())) {
+			tombstones.put({ id, deletedAt });
+		}
+		store.clear();
+		await transactionDone(tx);
+		await notifyEntriesChanged();
+		
+		console.log(`${EXTENSION_ID}: all entries cleared`);
+		return true;
+	} catch (error) {
+		console.error(`${EXTENSION_ID}: failed to clear entries`, error);
+		return false;
+	}
+}
+
+// ============================================================================
+// Tags
+// ============================================================================
+
+/**
+ * @typedef {Object} TagSummary
+ * @property {string} tag
+ * @property {number} count
+ */
+
+/**
+ * Normalizes a tag list: trimmed, lowercased, deduplicated, no empties.
+ * @param {string[] | string | undefined} tags - Array or comma/semicolon separated string
+ * @returns {string[]}
+ */
+function normalizeTags(tags) {
+	const list = typeof tags === 'string' ? tags.split(/[,;]/) : (Array.isArray(tags) ? tags : []);
+	const normalized = list
+		.filter(t => typeof t === 'string')
+		.map(t => t.trim().replace(/\s+/g, ' ').toLowerCase())
+		.filter(Boolean);
+	return [...new Set(normalized)];
+}
+
+/**
+ * Gets all tags in use with the number of entries carrying each.
+ * @returns {Promise<TagSummary[]>}
+ */
+async function getTags() {
+	try {
+		const { store } = await entryTransaction('readonly');
+		const counts = new Map();
+		
+		await new Promise((resolve, reject) => {
+			const request = store.index('tags').openKeyCursor();
+			request.onsuccess = () => {
+				const cursor = request.result;
+				if (!cursor) {
+					resolve();
+					return;
+				}
+				counts.set(cursor.key, (counts.get(cursor.key) || 0) + 1);
+				cursor.continue();
+			};
+			request.onerror = () => reject(request.error);
+		});
+		
+		return [...counts]
+			.map(([tag, count]) => ({ tag, count }))
+			.sort((a, b) => a.tag.localeCompare(b.tag));
+	} catch (error) {
+		console.error(`${EXTENSION_ID}: failed to get tags`, error);
+		return [];
+	}
+}
+
+/**
+ * Replaces the tags of an entry.
+ * @param {string} id
+ * @param {string[]} tags
+ * @returns {Promise<boolean>}
+ */
+async function setEntryTags(id, tags) {
+	const entry = await updateEntry(id, (e) => {
+		e.tags = normalizeTags(tags);
+	});
+	return entry !== null;
+}
+
+/**
+ * Adds and removes tags on several entries at once.
+ * @param {string[]} ids
+ * @param {{add?: string[], remove?: string[]}} tags
+ * @returns {Promise<boolean>}
+ */
+async function tagEntries(ids, { add = [], remove = [] }) {
+	try {
+		const removed = new Set(normalizeTags(remove));
+		await updateEntries(ids, (entry) => {
+			entry.tags = normalizeTags([...(entry.tags || []), ...add]).filter(t => !removed.has(t));
+		});
+		return true;
+	} catch (error) {
+		console.error(`${EXTENSION_ID}: failed to tag entries`, error);
+		return false;
+	}
+}
+
+/**
+ * Renames a tag on every entry. Renaming to an existing tag merges the two.
+ * @param {string} from
+ * @param {string} to
+ * @returns {Promise<boolean>}
+ */
+async function renameTag(from, to) {
+	try {
+		const [source] = normalizeTags([from]);
+		const [target] = normalizeTags([to]);
+		
+		if (!source || !target) {
+			throw new Error('empty tag name');
+		}
+		
+		await updateEntriesByIndex('tags', source, (entry) => {
+			entry.tags = normalizeTags(entry.tags.map(t => t === source ? target : t));
+		});
+		
+		console.log(`${EXTENSION_ID}: tag renamed: ${source} -> ${target}`);
+		return true;
+	} catch (error) {
+		console.error(`${EXTENSION_ID}: failed to rename tag`, error);
+		return false;
+	}
+}
+
+/**
+ * Removes a tag from every entry.
+ * @param {string} tag
+ * @returns {Promise<boolean>}
+ */
+async function deleteTag(tag) {
+	try {
+		await updateEntriesByIndex('tags', tag, (entry) => {
+			entry.tags = entry.tags.filter(t => t !== tag);
+		});
+		
+		console.log(`${EXTENSION_ID}: tag deleted: ${tag}`);
+		return true;
+	} catch (error) {
+		console.error(`${EXTENSION_ID}: failed to delete tag`, error);
+		return false;
+	}
+}
+
+// ============================================================================
+// Settings
+// ============================================================================
+
+/** @type {Settings} */
+const DEFAULT_SETTINGS = {
+	triggerMode: 'selection',
+	modifierKey: 'Alt',
+	minSelectionLength: 1,
+	maxSelectionLength: 100,
+	highlightColor: '#ffeb3b',
+	definitionsPerMeaning: 2,
+	autoClose: true,
+	dictionaryProviders: [
+		{ type: 'free-dictionary', enabled: true },
+		{ type: 'custom-http', enabled: false, urlTemplate: '', mapping: {} },
+	],
+	markSavedWords: true,
+	markSavedWordsExcludedSites: [],
+	siteMode: 'blocklist',
+	disabledSites: [],
+	enabledSites: [],
+	paused: false,
+	syncEnabled: false,
+};
+
+const TRIGGER_MODES = ['selection', 'dblclick', 'modifier'];
+const SITE_MODES = ['blocklist', 'allowlist'];
+const MODIFIER_KEYS = ['Alt', 'Control', 'Shift', 'Meta'];
+
+/**
+ * Gets settings from storage, filled in with defaults.
+ * @returns {Promise<Settings>}
+ */
+async function getSettings() {
+	try {
+		const result = await chrome.storage.local.get(SETTINGS_KEY);
+		return { ...DEFAULT_SETTINGS, ...result[SETTINGS_KEY] };
+	} catch (error) {
+		console.error(`${EXTENSION_ID}: failed to get settings`, error);
+		return { ...DEFAULT_SETTINGS };
+	}
+}
+
+/**
+ * Validates and saves settings, ignoring invalid values.
+ * @param {Partial<Settings>} changes
+ * @returns {Promise<Settings | null>}
+ */
+async function saveSettings(changes) {
+	try {
+		const settings = await getSettings();
+		const clampInt = (value, min, max) => Math.min(max, Math.max(min, Math.round(Number(value))));
+		
+		if (TRIGGER_MODES.includes(changes.triggerMode)) {
+			settings.triggerMode = changes.triggerMode;
+		}
+		if (MODIFIER_KEYS.includes(changes.modifierKey)) {
+			settings.modifierKey = changes.modifierKey;
+		}
+		if (Number.isFinite(Number(changes.minSelectionLength))) {
+			settings.minSelectionLength = clampInt(changes.minSelectionLength, 1, 1000);
+		}
+		if (Number.isFinite(Number(changes.maxSelectionLength))) {
+			settings.maxSelectionLength = clampInt(changes.maxSelectionLength, 1, 1000);
+		}
+		if (/^#[0-9a-f]{6}$/i.test(changes.highlightColor)) {
+			settings.highlightColor = changes.highlightColor;
+		}
+		if (Number.isFinite(Number(changes.definitionsPerMeaning))) {
+			settings.definitionsPerMeaning = clampInt(changes.definitionsPerMeaning, 1, 10);
+		}
+		if (typeof changes.autoClose === 'boolean') {
+			settings.autoClose = changes.autoClose;
+		}
+		if (typeof changes.markSavedWords === 'boolean') {
+			settings.markSavedWords = changes.markSavedWords;
+		}
+		if (Array.isArray(changes.markSavedWordsExcludedSites)) {
+			settings.markSavedWordsExcludedSites = normalizeHostnames(changes.markSavedWordsExcludedSites);
+		}
+		if (SITE_MODES.includes(changes.siteMode)) {
+			settings.siteMode = changes.siteMode;
+		}
+		if (Array.isArray(changes.disabledSites)) {
+			settings.disabledSites = normalizeHostnames(changes.disabledSites);
+		}
+		if (Array.isArray(changes.enabledSites)) {
+			settings.enabledSites = normalizeHostnames(changes.enabledSites);
+		}
+		if (typeof changes.paused === 'boolean') {
+			settings.paused = changes.paused;
+		}
+		if (typeof changes.syncEnabled === 'boolean') {
+			settings.syncEnabled = changes.syncEnabled;
+		}
+		if (Array.isArray(changes.dictionaryProviders)) {
+			const previous = JSON.stringify(settings.dictionaryProviders);
+			settings.dictionaryProviders = changes.dictionaryProviders
+				.map(normalizeProviderConfig)
+				.filter(Boolean);
+			
+			// Results from other providers no longer apply
+			if (JSON.stringify(settings.dictionaryProviders) !== previous) {
+				await clearDefinitionCache();
+			}
+		}
+		
+		settings.maxSelectionLength = Math.max(settings.minSelectionLength, settings.maxSelectionLength);
+		
+		await chrome.storage.local.set({ [SETTINGS_KEY]: settings });
+		return settings;
+	} catch (error) {
+		console.error(`${EXTENSION_ID}: failed to save settings`, error);
+		return null;
+	}
+}
+
+/**
+ * Deduplicates a list of hostnames, dropping anything that is not a string.
+ * @param {*[]} hostnames
+ * @returns {string[]}
+ */
+function normalizeHostnames(hostnames) {
+	return [...new Set(hostnames.filter(h => typeof h === 'string' && h))];
+}
+
+/**
+ * Checks whether Venustum runs on a site under the given settings.
+ * @param {Settings} settings
+ * @param {string} hostname
+ * @returns {boolean}
+ */
+function isSiteEnabled(settings, hostname) {
+	if (settings.paused) return false;
+	
+	return settings.siteMode === 'allowlist'
+		? settings.enabledSites.includes(hostname)
+		: !settings.disabledSites.includes(hostname);
+}
+
+/**
+ * Turns Venustum on or off for a site by updating the list of the
+ * current site mode. Pausing is left alone.
+ * @param {string} hostname
+ * @returns {Promise<boolean | null>} Whether the site is now enabled, or null on failure
+ */
+async function toggleSite(hostname) {
+	const current = await getSettings();
+	const listKey = current.siteMode === 'allowlist' ? 'enabledSites' : 'disabledSites';
+	const list = current[listKey];
+	
+	const settings = await saveSettings({
+		[listKey]: list.includes(hostname)
+			? list.filter(h => h !== hostname)
+			: [...list, hostname],
+	});
+	
+	if (!settings) return null;
+	
+	const enabled = isSiteEnabled({ ...settings, paused: false }, hostname);
+	
+	console.log(`${EXTENSION_ID}: ${hostname} ${enabled ? 'enabled' : 'disabled'}`);
+	return enabled;
+}
+
+/**
+ * Validates a provider config.
+ * @param {*} config
+ * @returns {ProviderConfig | null}
+ */
+function normalizeProviderConfig(config) {
+	if (!config || !DICTIONARY_PROVIDERS[config.type]) return null;
+	
+	if (config.type !== 'custom-http') {
+		return { type: config.type, enabled: Boolean(config.enabled) };
+	}
+	
+	const urlTemplate = typeof config.urlTemplate === 'string' ? config.urlTemplate.trim() : '';
+	const isValidUrl = /^https?:\/\/.+\{word\}/.test(urlTemplate);
+	
+	const mapping = {};
+	for (const key of Object.keys(DEFAULT_RESPONSE_MAPPING)) {
+		if (typeof config.mapping?.[key] === 'string') {
+			mapping[key] = config.mapping[key].trim();
+		}
+	}
+	
+	return {
+		type: config.type,
+		enabled: Boolean(config.enabled) && isValidUrl,
+		urlTemplate,
+		mapping,
+	};
+}
+
+/**
+ * Restores default settings.
+ * @returns {Promise<Settings | null>}
+ */
+async function resetSettings() {
+	try {
+		await chrome.storage.local.set({ [SETTINGS_KEY]: DEFAULT_SETTINGS });
+		return { ...DEFAULT_SETTINGS };
+	} catch (error) {
+		console.error(`${EXTENSION_ID}: failed to reset settings`, error);
+		return null;
+	}
+}
+
+// ============================================================================
+// Spaced Repetition
+// ============================================================================
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_EASE = 2.5;
+const MIN_EASE = 1.3;
+
+/**
+ * Returns the review state of an entry, creating a fresh one for
+ * entries that have never been reviewed (due immediately).
+ * @param {SavedEntry} entry
+ * @returns {ReviewState}
+ */
+function getReviewState(entry) {
+	return entry.review || {
+		ease: DEFAULT_EASE,
+		interval: 0,
+		repetitions: 0,
+		dueAt: entry.createdAt,
+		history: [],
+	};
+}
+
+/**
+ * Computes the next review state using the SM-2 algorithm.
+ * @param {ReviewState} state
+ * @param {number} grade - 0 to 5
+ * @param {number} now
+ * @returns {ReviewState}
+ */
+function scheduleReview(state, grade, now) {
+	let { ease, interval, repetitions } = state;
+	
+	if (grade < 3) {
+		repetitions = 0;
+		interval = 1;
+	} else {
+		repetitions += 1;
+		if (repetitions === 1) {
+			interval = 1;
+		} else if (repetitions === 2) {
+			interval = 6;
+		} else {
+			interval = Math.round(interval * ease);
+		}
+	}
+	
+	ease += 0.1 - (5 - grade) * (0.08 + (5 - grade) * 0.02);
+	ease = Math.max(MIN_EASE, ease);
+	
+	return {
+		ease,
+		interval,
+		repetitions,
+		dueAt: now + interval * DAY_MS,
+		history: [...state.history, { reviewedAt: now, grade, interval }],
+	};
+}
+
+/**
+ * Gets entries due for review, most overdue first.
+ * @param {number} [limit]
+ * @returns {Promise<SavedEntry[]>}
+ */
+async function getDueEntries(limit) {
+	const entries = await getEntries();
+	const now = Date.now();
+	
+	const due = entries
+		.filter(e => getReviewState(e).dueAt <= now)
+		.sort((a, b) => getReviewState(a).dueAt - getReviewState(b).dueAt);
+	
+	// One card per headword, so inflected forms are not reviewed twice
+	const seen = new Set();
+	const unique = due.filter(e => {
+		const headword = getHeadword(e);
+		if (seen.has(headword)) return false;
+		seen.add(headword);
+		return true;
+	});
+	
+	return limit ? unique.slice(0, limit) : unique;
+}
+
+/**
+ * Records a review grade for an entry and reschedules it.
+ * @param {string} id
+ * @param {number} grade - 0 to 5
+ * @returns {Promise<ReviewState | null>}
+ */
+async function gradeEntry(id, grade) {
+	try {
+		if (!Number.isInteger(grade) || grade < 0 || grade > 5) {
+			throw new Error(`invalid grade: ${grade}`);
+		}
+		
+		const entry = await updateEntry(id, (e) => {
+			e.review = scheduleReview(getReviewState(e), grade, Date.now());
+		});
+		
+		if (!entry) return null;
+		
+		console.log(`${EXTENSION_ID}: entry graded, next review in ${entry.review.interval}d`);
+		return entry.review;
+	} catch (error) {
+		console.error(`${EXTENSION_ID}: failed to grade entry`, error);
+		return null;
+	}
+}
+
+// ============================================================================
+// Quizzes
+// ============================================================================
+
+const QUIZ_TYPES = ['cloze', 'definition', 'reverse'];
+const QUIZ_LENGTH = 10;
+const QUIZ_CHOICES = 4;
+
+/**
+ * Gets how strongly an entry should be favoured when picking quiz
+ * questions. Unquizzed entries weigh 1; every wrong answer raises the
+ * weight and every right one lowers it, and a wrong last answer doubles it.
+ * @param {SavedEntry} entry
+ * @returns {number}
+ */
+function getQuizWeight(entry) {
+	const { correct = 0, incorrect = 0, history = [] } = entry.quiz || {};
+	const last = history[history.length - 1];
+	return (incorrect + 1) / (correct + 1) * (last && !last.correct ? 2 : 1);
+}
+
+/**
+ * Orders entries randomly, heavier ones more likely first
+ * (weighted sampling by Efraimidis and Spirakis).
+ * @param {SavedEntry[]} entries
+ * @returns {SavedEntry[]}
+ */
+function orderByQuizWeight(entries) {
+	return entries
+		.map(entry => ({ entry, key: Math.random() ** (1 / getQuizWeight(entry)) }))
+		.sort((a, b) => b.key - a.key)
+		.map(({ entry }) => entry);
+}
+
+/**
+ * Shuffles an array in place.
+ * @template T
+ * @param {T[]} items
+ * @returns {T[]}
+ */
+function shuffle(items) {
+	for (let i = items.length - 1; i > 0; i--) {
+		const j = Math.floor(Math.random() * (i + 1));
+		[items[i], items[j]] = [items[j], items[i]];
+	}
+	return items;
+}
+
+/**
+ * Picks wrong choices for a question from other entries, preferring ones
+ * with the same part of speech so the answer does not stand out.
+ * @param {SavedEntry} entry
+ * @param {SavedEntry[]} entries
+ * @param {(entry: SavedEntry) => string} getValue - The field choices show
+ * @returns {string[]}
+ */
+function pickDistractors(entry, entries, getValue) {
+	const seen = new Set([getValue(entry).toLowerCase()]);
+	const candidates = shuffle(entries.filter(e => e.id !== entry.id))
+		.sort((a, b) => (b.partOfSpeech === entry.partOfSpeech) - (a.partOfSpeech === entry.partOfSpeech));
+	
+	const distractors = [];
+	for (const candidate of candidates) {
+		const value = getValue(candidate);
+		if (!value || seen.has(value.toLowerCase())) continue;
+		
+		seen.add(value.toLowerCase());
+		distractors.push(value);
+		if (distractors.length === QUIZ_CHOICES - 1) break;
+	}
+	return distractors;
+}
+
+/**
+ * Replaces whole-word occurrences of a word in a sentence with a blank.
+ * @param {string} sentence
+ * @param {string} word
+ * @returns {string}
+ */
+function blankWord(sentence, word) {
+	const pattern = new RegExp(`(?<![\\p{L}\\p{N}])${escapeRegExp(word)}(?![\\p{L}\\p{N}])`, 'giu');
+	return sentence.replace(pattern, '_____');
+}
+
+/**
+ * Creates a question of the given type about an entry.
+ * @param {SavedEntry} entry
+ * @param {QuizType} type
+ * @param {SavedEntry[]} entries - Source of wrong choices
+ * @returns {QuizQuestion | null} Null if the entry cannot make that kind of question
+ */
+function createQuizQuestion(entry, type, entries) {
+	if (type === 'cloze') {
+		const context = shuffle([...entry.contexts]).find(c => c.sentence && blankWord(c.sentence, c.word) !== c.sentence);
+		if (!context) return null;
+		
+		const hint = [entry.partOfSpeech, entry.definition].filter(Boolean).join(': ');
+		return { id: entry.id, type, prompt: blankWord(context.sentence, context.word), hint };
+	}
+	
+	if (!entry.definition) return null;
+	
+	if (type === 'definition') {
+		const distractors = pickDistractors(entry, entries, e => e.definition);
+		if (distractors.length === 0) return null;
+		
+		const hint = getLatestContext(entry)?.sentence || '';
+		return { id: entry.id, type, prompt: entry.word, hint, options: shuffle([entry.definition, ...distractors]) };
+	}
+	
+	const distractors = pickDistractors(entry, entries, e => e.word);
+	if (distractors.length === 0) return null;
+	
+	return { id: entry.id, type, prompt: entry.definition, options: shuffle([entry.word, ...distractors]) };
+}
+
+/**
+ * Builds a quiz from saved entries, asking about weak words more often.
+ * Each entry gets one question of a random type among those it can make.
+ * @param {number} [count]
+ * @param {QuizType[]} [types] - Kinds of question to ask, all by default
+ * @returns {Promise<QuizQuestion[]>}
+ */
+async function getQuiz(count = QUIZ_LENGTH, types = QUIZ_TYPES) {
+	const entries = await getEntries();
+	const allowed = types.filter(type => QUIZ_TYPES.includes(type));
+	const questions = [];
+	
+	for (const entry of orderByQuizWeight(entries)) {
+		if (questions.length >= count) break;
+		
+		const question = shuffle([...allowed])
+			.map(type => createQuizQuestion(entry, type, entries))
+			.find(Boolean);
+		if (question) questions.push(question);
+	}
+	
+	return questions;
+}
+
+/**
+ * Checks an answer against an entry. Typed answers ignore case and
+ * accept any inflection of the headword.
+ * @param {SavedEntry} entry
+ * @param {QuizType} type
+ * @param {string} answer
+ * @returns {QuizAnswer}
+ */
+function checkQuizAnswer(entry, type, answer) {
+	const given = String(answer ?? '').trim().toLowerCase().replace(/’/g, '\'');
+	
+	if (type === 'definition') {
+		return { correct: answer === entry.definition, expected: entry.definition, word: entry.word };
+	}
+	
+	const headword = getHeadword(entry);
+	const forms = new Set([entry.word, ...entry.contexts.map(c => c.word)].map(word => word.toLowerCase()));
+	forms.add(headword);
+	const correct = Boolean(given) && (forms.has(given) || (type === 'cloze' && lemmatize(given).includes(headword)));
+	
+	const expected = type === 'cloze'
+		? [...forms].join(' / ')
+		: entry.word;
+	return { correct, expected, word: entry.word };
+}
+
+/**
+ * Adds a quiz result to a record.
+ * @param {QuizRecord | undefined} record
+ * @param {QuizResult} result
+ * @returns {QuizRecord}
+ */
+function addQuizResult(record, result) {
+	const { correct = 0, incorrect = 0, history = [] } = record || {};
+	return {
+		correct: correct + (result.correct ? 1 : 0),
+		incorrect: incorrect + (result.correct ? 0 : 1),
+		history: [...history, result],
+	};
+}
+
+/**
+ * Pools the quiz results of two entries of the same word.
+ * @param {QuizRecord | undefined} a
+ * @param {QuizRecord} b
+ * @returns {QuizRecord}
+ */
+function combineQuizRecords(a, b) {
+	if (!a) return b;
+	return {
+		correct: a.correct + b.correct,
+		incorrect: a.incorrect + b.incorrect,
+		history: [...a.history, ...b.history].sort((x, y) => x.answeredAt - y.answeredAt),
+	};
+}
+
+/**
+ * Checks a quiz answer and records the result on the entry.
+ * @param {string} id
+ * @param {QuizType} type
+ * @param {string} answer
+ * @returns {Promise<QuizAnswer | null>}
+ */
+async function answerQuiz(id, type, answer) {
+	try {
+		if (!QUIZ_TYPES.includes(type)) {
+			throw new Error(`invalid quiz type: ${type}`);
+		}
+		
+		/** @type {QuizAnswer | null} */
+		let result = null;
+		const entry = await updateEntry(id, (e) => {
+			result = checkQuizAnswer(e, type, answer);
+			e.quiz = addQuizResult(e.quiz, { answeredAt: Date.now(), type, correct: result.correct });
+		});
+		
+		if (!entry) return null;
+		
+		console.log(`${EXTENSION_ID}: quiz answer ${result.correct ? 'right' : 'wrong'}`);
+		return result;
+	} catch (error) {
+		console.error(`${EXTENSION_ID}: failed to record quiz answer`, error);
+		return null;
+	}
+}
+
+// ============================================================================
+// Statistics
+// ============================================================================
+
+const STATS_DAYS = 30;
+const STATS_WEEKS = 12;
+const STATS_TOP_DOMAINS = 10;
+
+/**
+ * Formats the local date of a timestamp as YYYY-MM-DD.
+ * @param {number | Date} time
+ * @returns {string}
+ */
+function toDayKey(time) {
+	const date = new Date(time);
+	const pad = (n) => String(n).padStart(2, '0');
+	return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Counts timestamps per local day over the days ending today.
+ * Days step by calendar date, so daylight saving changes do not skip any.
+ * @param {number[]} timestamps
+ * @param {number} days
+ * @param {number} step - Days per bucket, 7 for weeks starting on Monday
+ * @param {number} now
+ * @returns {DayCount[]}
+ */
+function countPerPeriod(timestamps, days, step, now) {
+	const start = new Date(now);
+	start.setHours(0, 0, 0, 0);
+	start.setDate(start.getDate() - (step === 7 ? (start.getDay() + 6) % 7 : 0) - (days - 1) * step);
+	
+	const buckets = [];
+	for (let i = 0; i < days; i++) {
+		const date = new Date(start);
+		date.setDate(start.getDate() + i * step);
+		buckets.push({ date, count: 0 });
+	}
+	
+	for (const timestamp of timestamps) {
+		if (timestamp < buckets[0].date.getTime()) continue;
+		// The last bucket starting at or before the timestamp
+		const bucket = buckets.findLast(b => b.date.getTime() <= timestamp);
+		bucket.count++;
+	}
+	
+	return buckets.map(({ date, count }) => ({ date: toDayKey(date), count }));
+}
+
+/**
+ * Finds the current and longest runs of consecutive active days. The
+ * current run still counts when today has no activity yet.
+ * @param {Set<string>} days - Active days as YYYY-MM-DD
+ * @param {number} now
+ * @returns {{current: number, longest: number}}
+ */
+function getStreaks(days, now) {
+	const day = new Date(now);
+	if (!days.has(toDayKey(day))) {
+		day.setDate(day.getDate() - 1);
+	}
+	
+	let current = 0;
+	while (days.has(toDayKey(day))) {
+		current++;
+		day.setDate(day.getDate() - 1);
+	}
+	
+	let longest = 0;
+	for (const key of days) {
+		const [year, month, date] = key.split('-').map(Number);
+		if (days.has(toDayKey(new Date(year, month - 1, date - 1)))) continue;
+		
+		// First day of a run
+		let length = 0;
+		while (days.has(toDayKey(new Date(year, month - 1, date + length)))) {
+			length++;
+		}
+		longest = Math.max(longest, length);
+	}
+	
+	return { current, longest };
+}
+
+/**
+ * Counts how often each label occurs, most frequent first.
+ * @param {string[]} labels
+ * @param {number} [limit]
+ * @returns {LabelCount[]}
+ */
+function countLabels(labels, limit) {
+	/** @type {Map<string, number>} */
+	const counts = new Map();
+	for (const label of labels) {
+		counts.set(label, (counts.get(label) || 0) + 1);
+	}
+	
+	return [...counts]
+		.map(([label, count]) => ({ label, count }))
+		.sort((a, b) => b.count - a.count || a.label.localeCompare(b.label))
+		.slice(0, limit);
+}
+
+/**
+ * Computes learning statistics from the stored entries. A day counts
+ * towards a streak when a word or sentence was saved, a card reviewed or
+ * a quiz question answered on it.
+ * @returns {Promise<LearningStats>}
+ */
+async function getStats() {
+	const entries = await getEntries();
+	const now = Date.now();
+	const contexts = entries.flatMap(e => e.contexts);
+	const reviews = entries.flatMap(e => e.review?.history || []);
+	const answers = entries.flatMap(e => e.quiz?.history || []);
+	const createdAt = entries.map(e => e.createdAt);
+	
+	const activeDays = new Set([
+		...createdAt,
+		...contexts.map(c => c.savedAt),
+		...reviews.map(r => r.reviewedAt),
+		...answers.map(a => a.answeredAt),
+	].map(toDayKey));
+	const { current, longest } = getStreaks(activeDays, now);
+	
+	return {
+		entries: entries.length,
+		contexts: contexts.length,
+		perDay: countPerPeriod(createdAt, STATS_DAYS, 1, now),
+		perWeek: countPerPeriod(createdAt, STATS_WEEKS, 7, now),
+		currentStreak: current,
+		longestStreak: longest,
+		domains: countLabels(contexts.map(getSourceDomain).filter(Boolean), STATS_TOP_DOMAINS),
+		partsOfSpeech: countLabels(entries.map(e => e.partOfSpeech || 'other')),
+		reviews: {
+			total: reviews.length,
+			passed: reviews.filter(r => r.grade >= 3).length,
+		},
+		quiz: {
+			total: entries.reduce((sum, e) => sum + (e.quiz ? e.quiz.correct + e.quiz.incorrect : 0), 0),
+			correct: entries.reduce((sum, e) => sum + (e.quiz?.correct || 0), 0),
+		},
+	};
+}
+
+// ============================================================================
+// Export
+// ============================================================================
+
+/** @type {(keyof EntryDraft)[]} */
+const CSV_COLUMNS = [
+	'id', 'word', 'lemma', 'sentence', 'definition', 'partOfSpeech', 'phonetic',
+	'sourceUrl', 'sourceTitle', 'createdAt', 'tags', 'note',
+];
+
+/** Cells starting with these are run as formulas by spreadsheet apps */
+const CSV_FORMULA_PATTERN = /^[=+\-@\t\r]/;
+
+const EXPORT_FORMATS = {
+	json: { mimeType: 'application/json', extension: 'json' },
+	csv: { mimeType: 'text/csv', extension: 'csv' },
+	anki: { mimeType: 'text/tab-separated-values', extension: 'tsv' },
+};
+
+/**
+ * Serializes entries as pretty-printed JSON.
+ * @param {SavedEntry[]} entries
+ * @returns {string}
+ */
+function entriesToJSON(entries) {
+	return JSON.stringify(entries, null, '\t');
+}
+
+/**
+ * Serializes entries as RFC 4180 CSV, one row per context. Rows of the
+ * same word are folded back together on import. Cells that a spreadsheet
+ * would read as a formula are prefixed with an apostrophe.
+ * @param {SavedEntry[]} entries
+ * @returns {string}
+ */
+function entriesToCSV(entries) {
+	const quote = (value) => {
+		let str = String(value ?? '');
+		if (CSV_FORMULA_PATTERN.test(str)) {
+			str = `'${str}`;
+		}
+		return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+	};
+	
+	const drafts = entries.flatMap(entry => entry.contexts.length === 0
+		? [entry]
+		: entry.contexts.map(({ word, sentence, sourceUrl, sourceTitle, savedAt }) =>
+			({ ...entry, word, sentence, sourceUrl, sourceTitle, createdAt: savedAt })));
+	
+	const rows = drafts.map(entry => CSV_COLUMNS.map(column => {
+		if (column === 'createdAt') {
+			return quote(new Date(entry.createdAt).toISOString());
+		}
+		if (column === 'tags') {
+			return quote((entry.tags || []).join('; '));
+		}
+		return quote(entry[column]);
+	}).join(','));
+	
+	return [CSV_COLUMNS.join(','), ...rows].join('\r\n') + '\r\n';
+}
+
+/**
+ * Serializes entries as a tab-separated file for Anki's Cloze note type.
+ * The word is wrapped in a cloze deletion and bolded inside the sentence
+ * it was last met in. The stock note type has no Source field, so the
+ * source link goes at the end of Back Extra.
+ * @param {SavedEntry[]} entries
+ * @returns {string}
+ */
+function entriesToAnki(entries) {
+	const field = (html) => html.replace(/[\t\r\n]+/g, ' ').trim();
+	
+	const rows = entries.map(entry => {
+		const context = getLatestContext(entry);
+		const word = escapeHtml(context?.word || entry.word);
+		const cloze = `{{c1::<b>${word}</b>}}`;
+		const sentence = escapeHtml(context?.sentence || '');
+		const pattern = new RegExp(`(?<![\\p{L}\\p{N}])${escapeRegExp(word)}(?![\\p{L}\\p{N}])`, 'iu');
+		
+		const text = pattern.test(sentence)
+			? sentence.replace(pattern, match => `{{c1::<b>${match}</b>}}`)
+			: `${cloze}${sentence ? ` — ${sentence}` : ''}`;
+		
+		const extra = [
+			entry.partOfSpeech ? `<i>${escapeHtml(entry.partOfSpeech)}</i>` : '',
+			entry.phonetic ? escapeHtml(entry.phonetic) : '',
+			entry.definition ? escapeHtml(entry.definition) : '',
+			entry.note ? `<br>${escapeHtml(entry.note)}` : '',
+			context?.sourceUrl
+				? `<br><a href="${escapeHtml(context.sourceUrl)}">${escapeHtml(context.sourceTitle || context.sourceUrl)}</a>`
+				: '',
+		].filter(Boolean).join(' ');
+		
+		const tags = (entry.tags || []).map(t => t.replace(/\s+/g, '_')).join(' ');
+		
+		return [text, extra, tags].map(field).join('\t');
+	});
+	
+	return [
+		'#separator:tab',
+		'#html:true',
+		'#notetype:Cloze',
+		'#columns:Text\tBack Extra\tTags',
+		'#tags column:3',
+		...rows,
+	].join('\n') + '\n';
+}
+
+/**
+ * Exports entries in the given format.
+ * @param {'json' | 'csv' | 'anki'} format
+ * @param {string[]} [ids] - Restricts the export to these entries
+ * @param {EntryQuery} [query] - Restricts the export to entries matching this query, in its order
+ * @returns {Promise<{content: string, mimeType: string, filename: string} | null>}
+ */
+async function exportEntries(format, ids, query) {
+	const spec = EXPORT_FORMATS[format];
+	
+	if (!spec) {
+		console.error(`${EXTENSION_ID}: unknown export format: ${format}`);
+		return null;
+	}
+	
+	let entries = query
+		? (await queryEntries({ ...query, offset: 0, limit: 0 })).entries
+		: await getEntries();
+	
+	if (Array.isArray(ids)) {
+		const idSet = new Set(ids);
+		entries = entries.filter(e => idSet.has(e.id));
+	}
+	
+	const serializers = {
+		json: entriesToJSON,
+		csv: entriesToCSV,
+		anki: entriesToAnki,
+	};
+	
+	const date = new Date().toISOString().slice(0, 10);
+	
+	return {
+		content: serializers[format](entries),
+		mimeType: spec.mimeType,
+		filename: `${EXTENSION_ID}-${date}.${spec.extension}`,
+	};
+}
+
+// ============================================================================
+// Import
+// ============================================================================
+
+/**
+ * @typedef {Object} ImportResult
+ * @property {number} added - Records saved as new words or as new contexts of saved words
+ * @property {number} duplicates
+ * @property {number} rejected
+ */
+
+/**
+ * Parses RFC 4180 CSV into rows of fields.
+ * @param {string} text
+ * @returns {string[][]}
+ */
+function parseCSV(text) {
+	const rows = [];
+	let row = [];
+	let field = '';
+	let inQuotes = false;
+	
+	for (let i = 0; i < text.length; i++) {
+		const char = text[i];
+		
+		if (inQuotes) {
+			if (char === '"' && text[i + 1] === '"') {
+				field += '"';
+				i++;
+			} else if (char === '"') {
+				inQuotes = false;
+			} else {
+				field += char;
+			}
+		} else if (char === '"') {
+			inQuotes = true;
+		} else if (char === ',') {
+			row.push(field);
+			field = '';
+		} else if (char === '\n' || char === '\r') {
+			if (char === '\r' && text[i + 1] === '\n') i++;
+			row.push(field);
+			rows.push(row);
+			row = [];
+			field = '';
+		} else {
+			field += char;
+		}
+	}
+	
+	if (field || row.length > 0) {
+		row.push(field);
+		rows.push(row);
+	}
+	
+	return rows.filter(r => r.some(f => f.trim()));
+}
+
+/**
+ * Converts CSV text with a header row into records keyed by column name.
+ * @param {string} text
+ * @returns {Object[]}
+ */
+function csvToRecords(text) {
+	const [header, ...rows] = parseCSV(text.replace(/^\uFEFF/, ''));
+	if (!header) return [];
+	
+	const columns = header.map(h => h.trim());
+	// Drops the apostrophe that export adds before formula-like cells
+	const unescape = (cell) => cell.startsWith("'") && CSV_FORMULA_PATTERN.test(cell.slice(1)) ? cell.slice(1) : cell;
+	return rows.map(row => Object.fromEntries(columns.map((c, i) => [c, unescape(row[i] ?? '')])));
+}
+
+/**
+ * Validates a raw context record.
+ * @param {*} record
+ * @param {string} word - Used when the context does not name the form met
+ * @param {number} createdAt - Used when the context has no date
+ * @returns {EntryContext | null} Normalized context, or null if malformed
+ */
+function normalizeImportedContext(record, word, createdAt) {
+	if (!record || typeof record !== 'object') return null;
+	
+	for (const key of ['word', 'sentence', 'sourceUrl', 'sourceTitle']) {
+		if (record[key] != null && typeof record[key] !== 'string') return null;
+	}
+	if (record.savedAt != null && !Number.isFinite(record.savedAt)) return null;
+	
+	return {
+		word: record.word?.trim() || word,
+		sentence: (record.sentence || '').trim(),
+		sourceUrl: record.sourceUrl || '',
+		sourceTitle: record.sourceTitle || '',
+		savedAt: record.savedAt ?? createdAt,
+	};
+}
+
+/**
+ * Validates a raw record against the SavedEntry shape. Records with a
+ * single sentence and source, as in CSV files and older exports, are
+ * accepted too.
+ * @param {*} record
+ * @returns {EntryDraft | null} Normalized entry, or null if malformed
+ */
+function normalizeImportedEntry(record) {
+	if (!record || typeof record !== 'object') return null;
+	
+	const word = typeof record.word === 'string' ? record.word.trim() : '';
+	if (!word) return null;
+	
+	const optionalStrings = ['lemma', 'sentence', 'definition', 'partOfSpeech', 'phonetic', 'sourceUrl', 'sourceTitle', 'audio', 'note'];
+	for (const key of optionalStrings) {
+		if (record[key] != null && typeof record[key] !== 'string') return null;
+	}
+	
+	let createdAt = Date.now();
+	if (record.createdAt != null && record.createdAt !== '') {
+		createdAt = typeof record.createdAt === 'number'
+			? record.createdAt
+			: Number(record.createdAt) || Date.parse(record.createdAt);
+		if (!Number.isFinite(createdAt)) return null;
+	}
+	
+	/** @type {EntryDraft} */
+	const entry = {
+		id: typeof record.id === 'string' && record.id ? record.id : generateId(),
+		word,
+		sentence: (record.sentence || '').trim(),
+		definition: record.definition || '',
+		partOfSpeech: record.partOfSpeech || '',
+		phonetic: record.phonetic || '',
+		sourceUrl: record.sourceUrl || '',
+		sourceTitle: record.sourceTitle || '',
+		createdAt,
+		tags: normalizeTags(record.tags),
+	};
+	
+	if (record.lemma?.trim()) {
+		entry.lemma = record.lemma.trim().toLowerCase();
+	}
+	
+	if (/^https?:\/\//.test(record.audio || '')) {
+		entry.audio = record.audio;
+	}
+	
+	if (record.note?.trim()) {
+		entry.note = record.note.trim();
+	}
+	
+	const meanings = normalizeMeanings(record.meanings);
+	if (meanings.length > 0) {
+		entry.meanings = meanings;
+	}
+	
+	if (Array.isArray(record.contexts)) {
+		const contexts = record.contexts.map(c => normalizeImportedContext(c, word, createdAt));
+		if (contexts.includes(null)) return null;
+		entry.contexts = contexts.sort((a, b) => a.savedAt - b.savedAt);
+	}
+	
+	const review = record.review;
+	if (review && Number.isFinite(review.ease) && Number.isFinite(review.interval) &&
+		Number.isFinite(review.dueAt) && Array.isArray(review.history)) {
+		entry.review = review;
+	}
+	
+	const quiz = record.quiz;
+	if (quiz && Number.isFinite(quiz.correct) && Number.isFinite(quiz.incorrect) && Array.isArray(quiz.history)) {
+		entry.quiz = quiz;
+	}
+	
+	return entry;
+}
+
+/**
+ * Imports entries from JSON or CSV text. Words already saved get the
+ * imported contexts they lack; records adding nothing new are skipped.
+ * @param {string} content
+ * @param {'json' | 'csv'} format
+ * @returns {Promise<ImportResult | null>}
+ */
+async function importEntries(content, format) {
+	try {
+		let records;
+		if (format === 'json') {
+			const data = JSON.parse(content);
+			records = Array.isArray(data) ? data : [data];
+		} else if (format === 'csv') {
+			records = csvToRecords(content);
+		} else {
+			throw new Error(`unknown import format: ${format}`);
+		}
+		
+		const entries = await getEntries();
+		const ids = new Set(entries.map(e => e.id));
+		const byHeadword = new Map(entries.map(e => [getHeadword(e), e]));
+		/** @type {ImportResult} */
+		const result = { added: 0, duplicates: 0, rejected: 0 };
+		/** @type {Map<string, SavedEntry>} New and changed entries by ID */
+		const changed = new Map();
+		
+		for (const record of records) {
+			const draft = normalizeImportedEntry(record);
+			
+			if (!draft) {
+				result.rejected++;
+				continue;
+			}
+			
+			const entry = toStoredEntry(draft);
+			const existing = byHeadword.get(entry.lemma);
+			
+			if (existing) {
+				const added = entry.contexts.filter(context => addContext(existing, context));
+				if (added.length === 0) {
+					result.duplicates++;
+					continue;
+				}
+				
+				existing.tags = normalizeTags([...existing.tags, ...entry.tags]);
+				if (!existing.meanings?.length && entry.meanings) {
+					existing.meanings = entry.meanings;
+				}
+				existing.updatedAt = Date.now();
+				changed.set(existing.id, existing);
+				result.added++;
+				continue;
+			}
+			
+			if (ids.has(entry.id)) {
+				entry.id = generateId();
+			}
+			
+			// Newer than any deletion of the same ID, or sync would delete it again
+			entry.updatedAt = Date.now();
+			ids.add(entry.id);
+			byHeadword.set(entry.lemma, entry);
+			changed.set(entry.id, entry);
+			result.added++;
+		}
+		
+		if (changed.size > 0) {
+			const db = await getDatabase();
+			const tx = db.transaction([ENTRY_STORE, TOMBSTONE_STORE], 'readwrite');
+			const store = tx.objectStore(ENTRY_STORE);
+			const tombstones = tx.objectStore(TOMBSTONE_STORE);
+			for (const entry of changed.values()) {
+				store.put(toStoredEntry(entry));
+				tombstones.delete(entry.id);
+			}
+			await transactionDone(tx);
+			await notifyEntriesChanged('local', [...changed.values()].map(getHeadword));
+		}
+		
+		console.log(`${EXTENSION_ID}: imported ${result.added}, duplicates ${result.duplicates}, rejected ${result.rejected}`);
+		return result;
+	} catch (error) {
+		console.error(`${EXTENSION_ID}: failed to import entries`, error);
+		return null;
+	}
+}
+
+// ============================================================================
+// Sync
+// ============================================================================
+
+const SYNC_STATE_KEY = 'venustum_sync_state';
+const SYNC_META_KEY = 'venustum_sync_meta';
+const SYNC_CHUNK_PREFIX = 'venustum_sync_chunk_';
+/** Leaves room for the key and quotes within the per-item quota */
+const SYNC_CHUNK_LENGTH = 8000;
+const SYNC_DELAY_MS = 5000;
+const SYNC_RETRY_MIN_MS = 15 * 1000;
+const SYNC_RETRY_MAX_MS = 15 * 60 * 1000;
+const TOMBSTONE_TTL_MS = 90 * DAY_MS;
+const MAX_CONFLICT_LOG = 20;
+
+/**
+ * @typedef {Object} SyncConflict
+ * @property {string} id
+ * @property {string} word
+ * @property {number} resolvedAt
+ * @property {'this device' | 'other device'} kept - Whose edit was kept; the newer one wins
+ */
+
+/**
+ * @typedef {Object} SyncState
+ * @property {'disabled' | 'syncing' | 'ok' | 'error'} status
+ * @property {number} lastSyncAt - When the last successful sync finished
+ * @property {string | null} error
+ * @property {number} bytesUsed - Size of the synced data
+ * @property {string} deviceId - Tells this device's writes apart from others'
+ * @property {SyncConflict[]} conflicts - Most recent first
+ */
+
+/**
+ * @typedef {Object} SyncPayload
+ * @property {Object[]} entries - Compact entries
+ * @property {[string, number][]} tombstones - Deleted IDs with deletion times
+ */
+
+/** @type {Promise<void> | null} */
+let syncInProgress = null;
+let syncTimeout = null;
+/** Set when a sync is asked for while one runs, which may have missed the change */
+let syncRerun = false;
+/** Delay before retrying a failed sync, doubled after each failure */
+let syncRetryDelay = 0;
+
+/**
+ * Gets the sync state, creating the device ID on first use.
+ * @returns {Promise<SyncState>}
+ */
+async function getSyncState() {
+	const result = await chrome.storage.local.get(SYNC_STATE_KEY);
+	const state = {
+		status: 'disabled',
+		lastSyncAt: 0,
+		error: null,
+		bytesUsed: 0,
+		deviceId: '',
+		conflicts: [],
+		...result[SYNC_STATE_KEY],
+	};
+	
+	if (!state.deviceId) {
+		state.deviceId = generateId();
+		await chrome.storage.local.set({ [SYNC_STATE_KEY]: state });
+	}
+	return state;
+}
+
+/**
+ * Updates the sync state.
+ * @param {Partial<SyncState>} changes
+ * @returns {Promise<SyncState>}
+ */
+async function setSyncState(changes) {
+	const state = { ...await getSyncState(), ...changes };
+	await chrome.storage.local.set({ [SYNC_STATE_KEY]: state });
+	return state;
+}
+
+/**
+ * Syncs shortly after local changes, batching bursts of edits so the
+ * write-per-minute quota is not exhausted.
+ * @param {number} [delay]
+ */
+function scheduleSync(delay = SYNC_DELAY_MS) {
+	clearTimeout(syncTimeout);
+	syncTimeout = setTimeout(syncEntries, delay);
+}
+
+/**
+ * Merges local entries with the synced copy and writes the result back
+ * to both. A call during a run shares it and runs once more after it.
+ * @returns {Promise<void>}
+ */
+function syncEntries() {
+	if (syncInProgress) {
+		syncRerun = true;
+		return syncInProgress;
+	}
+	
+	syncInProgress = runSync().finally(() => {
+		syncInProgress = null;
+		if (syncRerun) {
+			syncRerun = false;
+			syncEntries();
+		}
+	});
+	return syncInProgress;
+}
+
+/**
+ * Performs one sync.
+ */
+async function runSync() {
+	const settings = await getSettings();
+	if (!settings.syncEnabled) {
+		const { status } = await getSyncState();
+		if (status !== 'disabled') {
+			await setSyncState({ status: 'disabled', error: null });
+		}
+		return;
+	}
+	
+	const state = await setSyncState({ status: 'syncing' });
+	
+	try {
+		const remote = await readSyncedPayload();
+		const local = await readLocalCopy();
+		
+		const merged = foldMergedEntries(mergeEntries(local, remote, state.lastSyncAt));
+		await applyMerge(merged, local);
+		
+		const payload = {
+			entries: merged.entries.map(compactEntry),
+			tombstones: [...merged.tombstones],
+		};
+		const bytesUsed = await writeSyncedPayload(payload, remote, state.deviceId);
+		
+		await setSyncState({
+			status: 'ok',
+			lastSyncAt: Date.now(),
+			error: null,
+			bytesUsed,
+			conflicts: [...merged.conflicts, ...state.conflicts].slice(0, MAX_CONFLICT_LOG),
+		});
+		syncRetryDelay = 0;
+		console.log(`${EXTENSION_ID}: synced ${merged.entries.length} entries`);
+	} catch (error) {
+		syncRetryDelay = Math.min(syncRetryDelay * 2 || SYNC_RETRY_MIN_MS, SYNC_RETRY_MAX_MS);
+		scheduleSync(syncRetryDelay);
+		console.error(`${EXTENSION_ID}: sync failed, retrying in ${syncRetryDelay / 1000}s`, error);
+		await setSyncState({ status: 'error', error: error.message });
+	}
+}
+
+/**
+ * @typedef {Object} MergeResult
+ * @property {SavedEntry[]} entries - Every entry after the merge
+ * @property {Map<string, number>} tombstones
+ * @property {SavedEntry[]} localPuts - Entries to write locally
+ * @property {string[]} localDeletes - Entry IDs to delete locally
+ * @property {SyncConflict[]} conflicts
+ */
+
+/**
+ * Merges two copies of the vocabulary entry by entry: the most recently
+ * changed version wins, and a deletion wins over changes made before it.
+ * Edits made on both sides since the last sync are logged as conflicts.
+ * @param {{entries: SavedEntry[], tombstones: Map<string, number>}} local
+ * @param {{entries: SavedEntry[], tombstones: Map<string, number>}} remote
+ * @param {number} lastSyncAt
+ * @returns {MergeResult}
+ */
+function mergeEntries(local, remote, lastSyncAt) {
+	const now = Date.now();
+	const updatedAt = (entry) => entry.updatedAt ?? entry.createdAt;
+	const sameContent = (a, b) => JSON.stringify(compactEntry(a)) === JSON.stringify(compactEntry(b));
+	
+	const tombstones = new Map(local.tombstones);
+	for (const [id, deletedAt] of remote.tombstones) {
+		tombstones.set(id, Math.max(deletedAt, tombstones.get(id) || 0));
+	}
+	
+	const localById = new Map(local.entries.map(e => [e.id, e]));
+	const remoteById = new Map(remote.entries.map(e => [e.id, e]));
+	
+	/** @type {MergeResult} */
+	const result = { entries: [], tombstones, localPuts: [], localDeletes: [], conflicts: [] };
+	
+	for (const id of new Set([...localById.keys(), ...remoteById.keys()])) {
+		const mine = localById.get(id);
+		const theirs = remoteById.get(id);
+		const winner = !mine ? theirs : !theirs ? mine : updatedAt(theirs) > updatedAt(mine) ? theirs : mine;
+		
+		if (mine && theirs && updatedAt(mine) > lastSyncAt && updatedAt(theirs) > lastSyncAt && !sameContent(mine, theirs)) {
+			result.conflicts.push({
+				id,
+				word: winner.word,
+				resolvedAt: now,
+				kept: winner === mine ? 'this device' : 'other device',
+			});
+		}
+		
+		const deletedAt = tombstones.get(id);
+		if (deletedAt !== undefined && deletedAt >= updatedAt(winner)) {
+			if (mine) result.localDeletes.push(id);
+			continue;
+		}
+		// Changed again after the deletion, which is undone
+		tombstones.delete(id);
+		
+		if (winner === theirs && (!mine || !sameContent(mine, theirs))) {
+			// Review and quiz history and dictionary meanings are not synced; keep this device's
+			const history = mine?.review?.history;
+			const put = theirs.review && history ? { ...theirs, review: { ...theirs.review, history } } : { ...theirs };
+			if (put.quiz && mine?.quiz) {
+				put.quiz = { ...put.quiz, history: mine.quiz.history };
+			}
+			if (mine?.meanings) {
+				put.meanings = mine.meanings;
+			}
+			result.localPuts.push(put);
+		}
+		result.entries.push(winner);
+	}
+	
+	for (const [id, deletedAt] of tombstones) {
+		if (now - deletedAt > TOMBSTONE_TTL_MS) tombstones.delete(id);
+	}
+	
+	return result;
+}
+
+/**
+ * Folds entries of the same headword saved separately on two devices,
+ * turning the folded-away entries into deletions.
+ * @param {MergeResult} merged
+ * @returns {MergeResult}
+ */
+function foldMergedEntries(merged) {
+	const { entries, folded, removedIds } = foldEntries(merged.entries);
+	if (removedIds.length === 0) return merged;
+	
+	const now = Date.now();
+	const replaced = new Set([...removedIds, ...folded.map(e => e.id)]);
+	for (const id of removedIds) {
+		merged.tombstones.set(id, now);
+	}
+	
+	return {
+		...merged,
+		entries,
+		localPuts: [...merged.localPuts.filter(e => !replaced.has(e.id)), ...folded],
+		localDeletes: [...merged.localDeletes, ...removedIds],
+	};
+}
+
+/**
+ * Writes the outcome of a merge to the local database in one transaction.
+ * The merge was worked out from an earlier snapshot, so entries and
+ * deletion records changed since then are left alone; the sync that the
+ * change schedules merges them.
+ * @param {MergeResult} merged
+ * @param {{entries: SavedEntry[], tombstones: Map<string, number>}} snapshot - What the merge was computed from
+ */
+async function applyMerge(merged, snapshot) {
+	const db = await getDatabase();
+	const tx = db.transaction([ENTRY_STORE, TOMBSTONE_STORE], 'readwrite');
+	const entries = tx.objectStore(ENTRY_STORE);
+	const tombstones = tx.objectStore(TOMBSTONE_STORE);
+	
+	const [currentEntries, currentRecords] = await Promise.all([
+		requestResult(entries.getAll()),
+		requestResult(tombstones.getAll()),
+	]);
+	const updatedAt = (entry) => entry && (entry.updatedAt ?? entry.createdAt);
+	const snapshotById = new Map(snapshot.entries.map(e => [e.id, e]));
+	const currentById = new Map(currentEntries.map(e => [e.id, e]));
+	const currentTombstones = new Map(currentRecords.map(r => [r.id, r.deletedAt]));
+	const isUnchanged = (id) => updatedAt(currentById.get(id)) === updatedAt(snapshotById.get(id));
+	
+	const puts = merged.localPuts.filter(entry => isUnchanged(entry.id));
+	const deletes = merged.localDeletes.filter(isUnchanged);
+	
+	for (const entry of puts) {
+		entries.put(toStoredEntry(entry));
+	}
+	for (const id of deletes) {
+		entries.delete(id);
+	}
+	
+	for (const [id, deletedAt] of merged.tombstones) {
+		if (!(currentTombstones.get(id) >= deletedAt)) {
+			tombstones.put({ id, deletedAt });
+		}
+	}
+	// Deletions undone or expired by the merge, unless made again since
+	for (const [id, deletedAt] of snapshot.tombstones) {
+		if (!merged.tombstones.has(id) && currentTombstones.get(id) === deletedAt) {
+			tombstones.delete(id);
+		}
+	}
+	
+	await transactionDone(tx);
+	
+	if (puts.length > 0 || deletes.length > 0) {
+		const headwords = [...puts, ...deletes.map(id => currentById.get(id))].filter(Boolean).map(getHeadword);
+		await notifyEntriesChanged('sync', headwords);
+	}
+}
+
+/**
+ * Reads the local entries and deletion records in one transaction. Errors
+ * are thrown, so a failed read never passes for an empty vocabulary.
+ * @returns {Promise<{entries: SavedEntry[], tombstones: Map<string, number>}>}
+ */
+async function readLocalCopy() {
+	const db = await getDatabase();
+	const tx = db.transaction([ENTRY_STORE, TOMBSTONE_STORE], 'readonly');
+	const [entries, records] = await Promise.all([
+		requestResult(tx.objectStore(ENTRY_STORE).getAll()),
+		requestResult(tx.objectStore(TOMBSTONE_STORE).getAll()),
+	]);
+	return { entries, tombstones: new Map(records.map(r => [r.id, r.deletedAt])) };
+}
+
+/** Short keys for synced entries; the sync quota counts every byte */
+const COMPACT_KEYS = {
+	id: 'i', word: 'w', lemma: 'l', definition: 'd', partOfSpeech: 'p',
+	phonetic: 'f', createdAt: 'c', updatedAt: 'm', tags: 'g', audio: 'a', note: 'n',
+};
+
+/**
+ * Shrinks an entry for sync: short keys, empty fields dropped, contexts
+ * as arrays, and the review state and quiz record without their history.
+ * Dictionary meanings stay on the device.
+ * @param {SavedEntry} entry
+ * @returns {Object}
+ */
+function compactEntry(entry) {
+	const compact = {};
+	
+	for (const [field, key] of Object.entries(COMPACT_KEYS)) {
+		const value = entry[field];
+		if (value === undefined || value === '' || (Array.isArray(value) && value.length === 0)) continue;
+		compact[key] = value;
+	}
+	if (entry.lemma === entry.word.toLowerCase()) {
+		delete compact.l;
+	}
+	if (entry.updatedAt === entry.createdAt) {
+		delete compact.m;
+	}
+	if (entry.contexts.length > 0) {
+		// The form is left out when it is the entry's word
+		compact.x = entry.contexts.map(c => [c.sentence, c.sourceUrl, c.sourceTitle, c.savedAt, ...(c.word === entry.word ? [] : [c.word])]);
+	}
+	if (entry.review) {
+		const { ease, interval, repetitions, dueAt } = entry.review;
+		compact.r = [ease, interval, repetitions, dueAt];
+	}
+	if (entry.quiz) {
+		compact.q = [entry.quiz.correct, entry.quiz.incorrect];
+	}
+	
+	return compact;
+}
+
+/**
+ * Restores an entry from its compact form.
+ * @param {Object} compact
+ * @returns {SavedEntry}
+ */
+function expandEntry(compact) {
+	const entry = { tags: [] };
+	
+	for (const [field, key] of Object.entries(COMPACT_KEYS)) {
+		entry[field] = compact[key] ?? entry[field] ?? '';
+	}
+	entry.lemma = entry.lemma || entry.word.toLowerCase();
+	entry.updatedAt = compact.m ?? compact.c;
+	entry.contexts = (compact.x || []).map(([sentence, sourceUrl, sourceTitle, savedAt, word]) =>
+		({ word: word || entry.word, sentence, sourceUrl, sourceTitle, savedAt }));
+	
+	// Written before contexts, with one sentence and source per entry
+	if (!compact.x && (compact.s || compact.u)) {
+		entry.contexts = [{ word: entry.word, sentence: compact.s || '', sourceUrl: compact.u || '', sourceTitle: compact.t || '', savedAt: entry.createdAt }];
+	}
+	
+	if (compact.r) {
+		const [ease, interval, repetitions, dueAt] = compact.r;
+		entry.review = { ease, interval, repetitions, dueAt, history: [] };
+	}
+	if (compact.q) {
+		const [correct, incorrect] = compact.q;
+		entry.quiz = { correct, incorrect, history: [] };
 	}
+	
+	return entry;
 }
 
-// ============================================================================
-// Storage Operations
-// ============================================================================
-
 /**
- * Gets all saved entries from storage.
- * @returns {Promise<SavedEntry[]>}
+ * Reads the synced entries, which are stored gzipped and split into
+ * chunks under the per-item quota.
+ * @returns {Promise<{entries: SavedEntry[], tombstones: Map<string, number>, encoded: string}>}
  */
-async function getEntries() {
-	try {
-		const result = await chrome.storage.local.get(STORAGE_KEY);
-		return result[STORAGE_KEY] || [];
-	} catch (error) {
-		console.error(`${EXTENSION_ID}: failed to get entries`, error);
-		return [];
+async function readSyncedPayload() {
+	const { [SYNC_META_KEY]: meta } = await chrome.storage.sync.get(SYNC_META_KEY);
+	if (!meta) {
+		return { entries: [], tombstones: new Map(), encoded: '' };
+	}
+	
+	const keys = Array.from({ length: meta.chunks }, (_, i) => `${SYNC_CHUNK_PREFIX}${i}`);
+	const chunks = await chrome.storage.sync.get(keys);
+	if (keys.some(key => typeof chunks[key] !== 'string')) {
+		// Another device is midway through writing
+		throw new Error('synced data is incomplete, will retry');
 	}
+	
+	const encoded = keys.map(key => chunks[key]).join('');
+	/** @type {SyncPayload} */
+	const payload = JSON.parse(await gunzipBase64(encoded));
+	
+	return {
+		entries: payload.entries.map(expandEntry),
+		tombstones: new Map(payload.tombstones),
+		encoded,
+	};
 }
 
 /**
- * Saves an entry to storage.
- * @param {SavedEntry} entry
- * @returns {Promise<boolean>}
+ * Writes the merged entries to sync storage unless they are unchanged.
+ * @param {SyncPayload} payload
+ * @param {{encoded: string}} remote - What was read before the merge
+ * @param {string} deviceId
+ * @returns {Promise<number>} Bytes used in sync storage
  */
-async function saveEntry(entry) {
-	try {
-		const entries = await getEntries();
-		
-		// Check for duplicates
-		const exists = entries.some(e => 
-			e.word.toLowerCase() === entry.word.toLowerCase() && 
-			e.sentence === entry.sentence
-		);
-		
-		if (exists) {
-			console.log(`${EXTENSION_ID}: entry already exists`);
-			return false;
-		}
-		
-		entries.unshift(entry);
-		await chrome.storage.local.set({ [STORAGE_KEY]: entries });
-		
-		console.log(`${EXTENSION_ID}: entry saved, total: ${entries.length}`);
-		return true;
-	} catch (error) {
-		console.error(`${EXTENSION_ID}: failed to save entry`, error);
-		return false;
+async function writeSyncedPayload(payload, remote, deviceId) {
+	const encoded = await gzipBase64(JSON.stringify(payload));
+	const quota = chrome.storage.sync.QUOTA_BYTES || 102400;
+	
+	if (encoded === remote.encoded) {
+		return encoded.length;
+	}
+	// Leave headroom for the metadata item and keys
+	if (encoded.length > quota - 1024) {
+		throw new Error(`vocabulary is too large to sync (${Math.ceil(encoded.length / 1024)} KB of ${Math.floor(quota / 1024)} KB)`);
+	}
+	
+	const items = {};
+	let count = 0;
+	for (let i = 0; i < encoded.length; i += SYNC_CHUNK_LENGTH) {
+		items[`${SYNC_CHUNK_PREFIX}${count++}`] = encoded.slice(i, i + SYNC_CHUNK_LENGTH);
 	}
+	
+	const { [SYNC_META_KEY]: previous } = await chrome.storage.sync.get(SYNC_META_KEY);
+	items[SYNC_META_KEY] = { chunks: count, updatedAt: Date.now(), deviceId };
+	await chrome.storage.sync.set(items);
+	
+	const stale = [];
+	for (let i = count; i < (previous?.chunks || 0); i++) {
+		stale.push(`${SYNC_CHUNK_PREFIX}${i}`);
+	}
+	if (stale.length > 0) {
+		await chrome.storage.sync.remove(stale);
+	}
+	
+	return encoded.length;
 }
 
 /**
- * Deletes an entry from storage.
- * @param {string} id
- * @returns {Promise<boolean>}
+ * Compresses text with gzip and encodes it as base64.
+ * @param {string} text
+ * @returns {Promise<string>}
  */
-async function deleteEntry(id) {
-	try {
-		const entries = await getEntries();
-		const filtered = entries.filter(e => e.id !== id);
-		await chrome.storage.local.set({ [STORAGE_KEY]: filtered });
-		
-		console.log(`${EXTENSION_ID}: entry deleted, remaining: ${filtered.length}`);
-		return true;
-	} catch (error) {
-		console.error(`${EXTENSION_ID}: failed to delete entry`, error);
-		return false;
+async function gzipBase64(text) {
+	const stream = new Blob([text]).stream().pipeThrough(new CompressionStream('gzip'));
+	const bytes = new Uint8Array(await new Response(stream).arrayBuffer());
+	
+	let binary = '';
+	for (let i = 0; i < bytes.length; i += 0x8000) {
+		binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
 	}
+	return btoa(binary);
 }
 
 /**
- * Clears all entries from storage.
- * @returns {Promise<boolean>}
+ * Decodes base64 and decompresses gzip back to text.
+ * @param {string} encoded
+ * @returns {Promise<string>}
  */
-async function clearAllEntries() {
-	try {
-		await chrome.storage.local.set({ [STORAGE_KEY]: [] });
-		console.log(`${EXTENSION_ID}: all entries cleared`);
-		return true;
-	} catch (error) {
-		console.error(`${EXTENSION_ID}: failed to clear entries`, error);
-		return false;
+async function gunzipBase64(encoded) {
+	const bytes = Uint8Array.from(atob(encoded), c => c.charCodeAt(0));
+	const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('gzip'));
+	return new Response(stream).text();
+}
+
+/**
+ * Reacts to sync storage changes, syncing when another device wrote.
+ * @param {Object<string, chrome.storage.StorageChange>} changes
+ */
+async function handleSyncStorageChange(changes) {
+	const meta = changes[SYNC_META_KEY]?.newValue;
+	if (!meta) return;
+	
+	const { deviceId } = await getSyncState();
+	if (meta.deviceId !== deviceId) {
+		syncEntries();
 	}
 }
 
@@ -211,8 +3681,20 @@ function handleMessage(message, sender, sendResponse) {
 		try {
 			switch (message.action) {
 				case 'fetch-definition': {
-					const definition = await fetchDefinitionFromAPI(message.word);
-					sendResponse({ definition });
+					const result = await lookupWord(message.word);
+					sendResponse(result);
+					break;
+				}
+				
+				case 'get-cache-stats': {
+					const stats = await getDefinitionCacheStats();
+					sendResponse({ stats });
+					break;
+				}
+				
+				case 'clear-definition-cache': {
+					const success = await clearDefinitionCache();
+					sendResponse({ success });
 					break;
 				}
 				
@@ -228,12 +3710,184 @@ function handleMessage(message, sender, sendResponse) {
 					break;
 				}
 				
+				case 'query-entries': {
+					const page = await queryEntries(message.query);
+					sendResponse(page);
+					break;
+				}
+				
+				case 'get-entry': {
+					const entry = await getEntry(message.id);
+					sendResponse({ entry });
+					break;
+				}
+				
+				case 'find-entry': {
+					const entry = await findEntry(message.headword);
+					sendResponse({ entry });
+					break;
+				}
+				
+				case 'get-entry-facets': {
+					const facets = await getEntryFacets();
+					sendResponse({ facets });
+					break;
+				}
+				
+				case 'get-saved-words': {
+					const words = await getSavedWords(message.headwords);
+					sendResponse({ words });
+					break;
+				}
+				
+				case 'update-entry': {
+					const entry = await editEntry(message.id, message.changes);
+					sendResponse({ success: entry !== null, entry });
+					break;
+				}
+				
 				case 'delete-entry': {
 					const success = await deleteEntry(message.id);
 					sendResponse({ success });
 					break;
 				}
 				
+				case 'delete-entries': {
+					const success = await deleteEntries(message.ids);
+					sendResponse({ success });
+					break;
+				}
+				
+				case 'get-due-entries': {
+					const entries = await getDueEntries(message.limit);
+					sendResponse({ entries });
+					break;
+				}
+				
+				case 'grade-entry': {
+					const review = await gradeEntry(message.id, message.grade);
+					sendResponse({ success: review !== null, review });
+					break;
+				}
+				
+				case 'get-quiz': {
+					const questions = await getQuiz(message.count, message.types);
+					sendResponse({ questions });
+					break;
+				}
+				
+				case 'answer-quiz': {
+					const result = await answerQuiz(message.id, message.type, message.answer);
+					sendResponse({ success: result !== null, result });
+					break;
+				}
+				
+				case 'get-stats': {
+					const stats = await getStats();
+					sendResponse({ stats });
+					break;
+				}
+				
+				case 'export-entries': {
+					const file = await exportEntries(message.format, message.ids, message.query);
+					sendResponse(file ? { file } : { error: 'Unknown format' });
+					break;
+				}
+				
+				case 'import-entries': {
+					const result = await importEntries(message.content, message.format);
+					sendResponse(result ? { result } : { error: 'Import failed' });
+					break;
+				}
+				
+				case 'get-settings': {
+					const settings = await getSettings();
+					sendResponse({ settings });
+					break;
+				}
+				
+				case 'save-settings': {
+					const settings = await saveSettings(message.settings || {});
+					sendResponse({ success: settings !== null, settings });
+					break;
+				}
+				
+				case 'toggle-site': {
+					const enabled = await toggleSite(message.hostname);
+					sendResponse({ success: enabled !== null, enabled });
+					break;
+				}
+				
+				case 'popup-shown': {
+					// Close popups in the tab's other frames
+					if (sender.tab?.id) {
+						await chrome.tabs.sendMessage(sender.tab.id, { action: 'close-popup', except: message.frameToken });
+					}
+					sendResponse({ success: true });
+					break;
+				}
+				
+				case 'update-action-icon': {
+					const success = await updateActionIcon(sender);
+					sendResponse({ success });
+					break;
+				}
+				
+				case 'set-browser-theme': {
+					await chrome.storage.local.set({ [BROWSER_THEME_KEY]: message.darkTheme === true });
+					sendResponse({ success: true });
+					break;
+				}
+				
+				case 'reset-settings': {
+					const settings = await resetSettings();
+					sendResponse({ success: settings !== null, settings });
+					break;
+				}
+				
+				case 'get-tags': {
+					const tags = await getTags();
+					sendResponse({ tags });
+					break;
+				}
+				
+				case 'set-entry-tags': {
+					const success = await setEntryTags(message.id, message.tags);
+					sendResponse({ success });
+					break;
+				}
+				
+				case 'tag-entries': {
+					const success = await tagEntries(message.ids, message);
+					sendResponse({ success });
+					break;
+				}
+				
+				case 'rename-tag': {
+					const success = await renameTag(message.from, message.to);
+					sendResponse({ success });
+					break;
+				}
+				
+				case 'delete-tag': {
+					const success = await deleteTag(message.tag);
+					sendResponse({ success });
+					break;
+				}
+				
+				case 'get-sync-state': {
+					const state = await getSyncState();
+					sendResponse({ state });
+					break;
+				}
+				
+				case 'sync-now': {
+					await syncEntries();
+					const state = await getSyncState();
+					sendResponse({ success: state.status === 'ok', state });
+					break;
+				}
+				
 				case 'clear-entries': {
 					const success = await clearAllEntries();
 					sendResponse({ success });
@@ -252,6 +3906,144 @@ function handleMessage(message, sender, sendResponse) {
 	return true; // Keep channel open for async response
 }
 
+// ============================================================================
+// Keyboard Shortcuts
+// ============================================================================
+
+/**
+ * Handles keyboard shortcuts. Site toggling is handled here; everything
+ * else is forwarded to the content script of the tab.
+ * @param {string} command
+ * @param {chrome.tabs.Tab} [tab]
+ */
+async function handleCommand(command, tab) {
+	try {
+		if (!tab) {
+			[tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+		}
+		if (!tab?.id || !/^https?:/.test(tab.url || '')) return;
+		
+		if (command === 'toggle-site') {
+			await toggleSite(new URL(tab.url).hostname);
+			return;
+		}
+		
+		await chrome.tabs.sendMessage(tab.id, { action: 'run-command', command });
+	} catch (error) {
+		console.error(`${EXTENSION_ID}: failed to run command "${command}"`, error);
+	}
+}
+
+// ============================================================================
+// Context Menus
+// ============================================================================
+
+const CONTEXT_MENU_ITEMS = [
+	{ id: 'lookup-selection', title: 'Look up "%s" in Venustum' },
+	{ id: 'save-selection', title: 'Save "%s" to Venustum' },
+];
+
+/**
+ * Creates the selection context menu items. Menus persist across
+ * restarts, so this only runs when the extension is installed or updated.
+ */
+function createContextMenus() {
+	chrome.contextMenus.removeAll(() => {
+		for (const item of CONTEXT_MENU_ITEMS) {
+			chrome.contextMenus.create({ ...item, contexts: ['selection'] });
+		}
+	});
+}
+
+/**
+ * Handles context menu clicks. These work even where the automatic
+ * popup is turned off, since the user asked explicitly.
+ * @param {chrome.contextMenus.OnClickData} info
+ * @param {chrome.tabs.Tab} [tab]
+ */
+async function handleContextMenuClick(info, tab) {
+	if (!tab?.id) return;
+	
+	try {
+		if (info.menuItemId === 'lookup-selection') {
+			await chrome.tabs.sendMessage(tab.id, { action: 'run-command', command: 'lookup-selection' }, { frameId: info.frameId });
+		} else if (info.menuItemId === 'save-selection') {
+			const saved = await saveSelection(info, tab);
+			await flashBadge(tab.id, saved);
+		}
+	} catch (error) {
+		console.error(`${EXTENSION_ID}: failed to handle context menu "${info.menuItemId}"`, error);
+	}
+}
+
+/**
+ * Saves the selected word without showing the lookup popup. The content
+ * script provides the sentence; without it the entry has no sentence.
+ * @param {chrome.contextMenus.OnClickData} info
+ * @param {chrome.tabs.Tab} tab
+ * @returns {Promise<boolean>}
+ */
+async function saveSelection(info, tab) {
+	let context = null;
+	try {
+		context = await chrome.tabs.sendMessage(tab.id, { action: 'get-selection-context' }, { frameId: info.frameId });
+	} catch (error) {
+		console.log(`${EXTENSION_ID}: no content script in tab, saving without sentence`, error);
+	}
+	
+	const word = (context?.word || info.selectionText || '').trim();
+	if (!word) return false;
+	
+	const { definition, lemma, components = [] } = await lookupWord(word);
+	const meaning = definition?.meanings[0];
+	const componentDefinition = components
+		.map(c => `${c.lemma}: ${c.definition.meanings[0]?.definitions[0]?.definition || ''}`)
+		.join('; ');
+	
+	/** @type {EntryDraft} */
+	const entry = {
+		id: generateId(),
+		word: word,
+		lemma: lemma || word.toLowerCase(),
+		sentence: context?.sentence || '',
+		definition: meaning?.definitions[0]?.definition || componentDefinition,
+		partOfSpeech: meaning?.partOfSpeech || (componentDefinition ? 'phrase' : ''),
+		phonetic: definition?.phonetic || '',
+		sourceUrl: context?.sourceUrl || info.frameUrl || info.pageUrl || tab.url || '',
+		sourceTitle: context?.sourceTitle || tab.title || '',
+		createdAt: Date.now(),
+		tags: [],
+		audio: definition?.phonetics.find(p => p.audio)?.audio || '',
+		meanings: definition?.meanings || [],
+	};
+	
+	return saveEntry(entry);
+}
+
+/**
+ * Briefly replaces a tab's badge to confirm a save, then falls back
+ * to the entry count.
+ * @param {number} tabId
+ * @param {boolean} saved
+ */
+async function flashBadge(tabId, saved) {
+	try {
+		await chrome.action.setBadgeText({ tabId, text: saved ? '✓' : '!' });
+		await chrome.action.setBadgeBackgroundColor({ tabId, color: saved ? '#43a047' : '#e53935' });
+		
+		setTimeout(async () => {
+			try {
+				await chrome.action.setBadgeText({ tabId, text: null });
+				await chrome.action.setBadgeBackgroundColor({ tabId, color: BADGE_COLOR });
+			} catch (error) {
+				// The tab was closed in the meantime
+			}
+		}, 1500);
+	} catch (error) {
+		console.error(`${EXTENSION_ID}: failed to flash badge`, error);
+	}
+}
+
 // ============================================================================
 // Action Button
 // ============================================================================
@@ -262,17 +4054,66 @@ const ICONS = {
 	enabledDark: 'icons/icon_white.png',
 };
 
+const BADGE_COLOR = '#1976d2';
+/** Whether the browser's toolbar is dark, as last reported by the popup */
+const BROWSER_THEME_KEY = 'venustum_browser_theme';
+
+/**
+ * Checks whether the browser uses a dark theme. A background page can
+ * ask directly; a service worker has no matchMedia and uses what the
+ * popup last reported, as extension pages follow the browser's theme
+ * rather than any site's.
+ * @returns {Promise<boolean>}
+ */
+async function isBrowserThemeDark() {
+	if (typeof matchMedia === 'function') {
+		return matchMedia('(prefers-color-scheme: dark)').matches;
+	}
+	const result = await chrome.storage.local.get(BROWSER_THEME_KEY);
+	return result[BROWSER_THEME_KEY] === true;
+}
+
+/**
+ * Shows in a tab's action icon whether Venustum runs there. The enabled
+ * icon contrasts with the browser's toolbar, whatever scheme the page uses.
+ * @param {chrome.runtime.MessageSender} sender
+ * @returns {Promise<boolean>}
+ */
+async function updateActionIcon(sender) {
+	// Frames report too, but the icon follows the top-level page
+	if (!sender.tab?.id || sender.frameId !== 0 || !sender.url) return false;
+	
+	try {
+		const settings = await getSettings();
+		const enabled = isSiteEnabled(settings, new URL(sender.url).hostname);
+		
+		let title = 'Venustum';
+		if (settings.paused) {
+			title += ' (paused)';
+		} else if (!enabled) {
+			title += ' (off on this site)';
+		}
+		
+		const path = !enabled ? ICONS.disabled : await isBrowserThemeDark() ? ICONS.enabledDark : ICONS.enabledLight;
+		await chrome.action.setIcon({ tabId: sender.tab.id, path });
+		await chrome.action.setTitle({ tabId: sender.tab.id, title });
+		return true;
+	} catch (error) {
+		console.error(`${EXTENSION_ID}: failed to update action icon`, error);
+		return false;
+	}
+}
+
 /**
  * Updates the extension icon badge with entry count.
  */
 async function updateBadge() {
 	try {
-		const entries = await getEntries();
-		const count = entries.length;
+		const count = await countEntries();
 		
 		if (count > 0) {
 			await chrome.action.setBadgeText({ text: count.toString() });
-			await chrome.action.setBadgeBackgroundColor({ color: '#1976d2' });
+			await chrome.action.setBadgeBackgroundColor({ color: BADGE_COLOR });
 		} else {
 			await chrome.action.setBadgeText({ text: '' });
 		}
@@ -281,22 +4122,72 @@ async function updateBadge() {
 	}
 }
 
+// ============================================================================
+// Utilities
+// ============================================================================
+
+/**
+ * Escapes HTML special characters.
+ * @param {string} str
+ * @returns {string}
+ */
+function escapeHtml(str) {
+	return str
+		.replace(/&/g, '&amp;')
+		.replace(/</g, '&lt;')
+		.replace(/>/g, '&gt;')
+		.replace(/"/g, '&quot;');
+}
+
+/**
+ * Generates a unique entry ID.
+ * @returns {string}
+ */
+function generateId() {
+	return `${Date.now()}-${Math.random().toString(36).slice(2, 9)}`;
+}
+
+/**
+ * Escapes a string for literal use in a regular expression.
+ * @param {string} str
+ * @returns {string}
+ */
+function escapeRegExp(str) {
+	return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
 // ============================================================================
 // Initialization
 // ============================================================================
 
 function initialize() {
 	chrome.runtime.onMessage.addListener(handleMessage);
+	chrome.commands.onCommand.addListener(handleCommand);
+	chrome.contextMenus.onClicked.addListener(handleContextMenuClick);
+	chrome.runtime.onInstalled.addListener(createContextMenus);
 	
 	// Update badge on storage changes
 	chrome.storage.onChanged.addListener((changes, areaName) => {
-		if (areaName === 'local' && changes[STORAGE_KEY]) {
+		if (areaName === 'sync') {
+			handleSyncStorageChange(changes);
+			return;
+		}
+		if (areaName !== 'local') return;
+		
+		if (changes[ENTRIES_REVISION_KEY]) {
 			updateBadge();
+			if (changes[ENTRIES_REVISION_KEY].newValue?.source !== 'sync') {
+				scheduleSync();
+			}
+		}
+		if (changes[SETTINGS_KEY]?.newValue?.syncEnabled !== changes[SETTINGS_KEY]?.oldValue?.syncEnabled) {
+			syncEntries();
 		}
 	});
 	
 	// Initial badge update
 	updateBadge();
+	syncEntries();
 	
 	console.log(`${EXTENSION_ID}: background script loaded`);
 }
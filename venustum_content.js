@@ -5,17 +5,26 @@
  */
 
 const EXTENSION_ID = 'venustum';
+const SETTINGS_KEY = 'venustum_settings';
+const ENTRIES_REVISION_KEY = 'venustum_entries_revision';
 
 const sentenceSegmenter = new Intl.Segmenter('en', { granularity: 'sentence' });
+/** Identifies this frame's content script among those of the tab */
+const FRAME_TOKEN = Math.random().toString(36).slice(2);
+/** Unique per frame so the popup's datalist cannot clash with the page's IDs */
+const TAG_LIST_ID = `${EXTENSION_ID}-tag-suggestions-${FRAME_TOKEN}`;
 
 // ============================================================================
 // Types
 // ============================================================================
 
 /**
- * @typedef {Object} SavedEntry
+ * A word to save. The background adds its sentence and source to the
+ * saved entry for the headword, if there is one.
+ * @typedef {Object} EntryDraft
  * @property {string} id
  * @property {string} word
+ * @property {string} [lemma]
  * @property {string} sentence
  * @property {string} definition
  * @property {string} partOfSpeech
@@ -23,15 +32,50 @@ const sentenceSegmenter = new Intl.Segmenter('en', { granularity: 'sentence' });
  * @property {string} sourceUrl
  * @property {string} sourceTitle
  * @property {number} createdAt
+ * @property {string[]} [tags]
+ * @property {string} [audio] - Pronunciation recording URL
+ * @property {Meaning[]} [meanings] - Every sense of the word, shown in the manager
+ */
+
+/**
+ * @typedef {Object} EntryContext
+ * @property {string} word - Form the word had in the sentence
+ * @property {string} sentence
+ * @property {string} sourceUrl
+ * @property {string} sourceTitle
+ * @property {number} savedAt
+ */
+
+/**
+ * The parts of a saved entry the popup shows.
+ * @typedef {Object} SavedEntry
+ * @property {string} id
+ * @property {string} word
+ * @property {EntryContext[]} contexts - Oldest first
  */
 
 /**
  * @typedef {Object} DictionaryResponse
  * @property {string} word
  * @property {string} phonetic
+ * @property {Phonetic[]} phonetics
  * @property {Meaning[]} meanings
  */
 
+/**
+ * Meaning of one word of a phrase that has no dictionary entry itself.
+ * @typedef {Object} ComponentMeaning
+ * @property {string} word
+ * @property {string} lemma
+ * @property {DictionaryResponse} definition
+ */
+
+/**
+ * @typedef {Object} Phonetic
+ * @property {string} text
+ * @property {string} audio
+ */
+
 /**
  * @typedef {Object} Meaning
  * @property {string} partOfSpeech
@@ -44,6 +88,32 @@ const sentenceSegmenter = new Intl.Segmenter('en', { granularity: 'sentence' });
  * @property {string} example
  */
 
+/**
+ * @typedef {Object} Settings
+ * @property {'selection' | 'dblclick' | 'modifier'} triggerMode
+ * @property {'Alt' | 'Control' | 'Shift' | 'Meta'} modifierKey
+ * @property {number} minSelectionLength
+ * @property {number} maxSelectionLength
+ * @property {string} highlightColor
+ * @property {number} definitionsPerMeaning
+ * @property {boolean} autoClose
+ * @property {boolean} markSavedWords
+ * @property {string[]} markSavedWordsExcludedSites
+ * @property {'blocklist' | 'allowlist'} siteMode
+ * @property {string[]} disabledSites
+ * @property {string[]} enabledSites
+ * @property {boolean} paused
+ */
+
+/**
+ * @typedef {Object} SavedWord
+ * @property {string} headword
+ * @property {string[]} forms
+ * @property {string} definition
+ * @property {string} partOfSpeech
+ * @property {string} phonetic
+ */
+
 // ============================================================================
 // State
 // ============================================================================
@@ -52,71 +122,329 @@ const sentenceSegmenter = new Intl.Segmenter('en', { granularity: 'sentence' });
 let currentWord = null;
 /** @type {Range | null} */
 let currentRange = null;
+/** @type {HTMLElement | null} Holds all of Venustum's UI, outside the page's body */
+let hostElement = null;
 /** @type {HTMLElement | null} */
-let highlightElement = null;
+let anchorElement = null;
 /** @type {HTMLElement | null} */
 let popupElement = null;
+/**
+ * Open shadow roots around the last pointer interaction, which the
+ * document selection cannot see into.
+ * @type {ShadowRoot[]}
+ */
+let selectionShadowRoots = [];
+/**
+ * Defaults until the background responds; kept in sync with storage.
+ * @type {Settings}
+ */
+let settings = {
+	triggerMode: 'selection',
+	modifierKey: 'Alt',
+	minSelectionLength: 1,
+	maxSelectionLength: 100,
+	highlightColor: '#ffeb3b',
+	definitionsPerMeaning: 2,
+	autoClose: true,
+	markSavedWords: true,
+	markSavedWordsExcludedSites: [],
+	siteMode: 'blocklist',
+	disabledSites: [],
+	enabledSites: [],
+	paused: false,
+};
 
 // ============================================================================
 // Sentence Extraction
 // ============================================================================
 
+const SKIPPED_ELEMENTS = new Set(['SCRIPT', 'STYLE', 'NOSCRIPT', 'TEXTAREA', 'TEMPLATE']);
+const MAX_BLOCK_TEXT_LENGTH = 50000;
+
 /**
- * Extracts the sentence containing the given range using Intl.Segmenter.
- * @param {Range} range
- * @returns {string}
+ * @typedef {Object} TextMap
+ * @property {string} text - Text of the block; blocks nested inside it are separated by newlines
+ * @property {{node: Text, start: number}[]} nodes - Each text node with its offset in `text`
+ */
+
+/**
+ * Finds the closest ancestor (or self) that is not laid out inline.
+ * @param {Node} node
+ * @returns {Element}
+ */
+function getBlockAncestor(node) {
+	let element = node.nodeType === Node.ELEMENT_NODE ? node : getComposedParent(node);
+	
+	while (element && element !== document.body) {
+		const display = getComputedStyle(element).display;
+		if (!display.startsWith('inline') && display !== 'contents') {
+			return element;
+		}
+		element = getComposedParent(element);
+	}
+	
+	return document.body;
+}
+
+/**
+ * Gets the parent of a node as rendered: the slot it is assigned to,
+ * or the host when it is at the top of an open shadow root.
+ * @param {Node} node
+ * @returns {Element | null}
+ */
+function getComposedParent(node) {
+	if (node.assignedSlot) return node.assignedSlot;
+	if (node.parentElement) return node.parentElement;
+	return node.parentNode instanceof ShadowRoot ? node.parentNode.host : null;
+}
+
+/**
+ * Yields the text nodes under a node in rendering order, entering open
+ * shadow roots and following slots to the nodes assigned to them.
+ * @param {Node} node
+ * @returns {Generator<Text>}
+ */
+function* getComposedTextNodes(node) {
+	let children = node.shadowRoot ? node.shadowRoot.childNodes : node.childNodes;
+	if (node instanceof HTMLSlotElement && node.assignedNodes().length > 0) {
+		children = node.assignedNodes();
+	}
+	
+	for (const child of children) {
+		if (child.nodeType === Node.TEXT_NODE) {
+			yield child;
+		} else if (child.nodeType === Node.ELEMENT_NODE && !SKIPPED_ELEMENTS.has(child.tagName)) {
+			yield* getComposedTextNodes(child);
+		}
+	}
+}
+
+/**
+ * Collects the text nodes of a block, mapping each to its offset in the
+ * concatenated text. A newline is inserted wherever the nearest block
+ * changes, so the segmenter never joins sentences across paragraphs.
+ * Text in open shadow roots is included where it is rendered.
+ * Gives up as soon as the text grows past MAX_BLOCK_TEXT_LENGTH, before
+ * computing styles for the rest of the block.
+ * @param {Element} block
+ * @returns {TextMap | null}
  */
-function extractSentence(range) {
-	const container = range.commonAncestorContainer;
-	const parent = container.nodeType === Node.TEXT_NODE 
-		? container.parentElement 
-		: container;
+function buildTextMap(block) {
+	const blocks = new Map();
+	const nodes = [];
+	let text = '';
+	let previousBlock = null;
+	
+	for (const node of getComposedTextNodes(block)) {
+		if (text.length + node.length > MAX_BLOCK_TEXT_LENGTH) return null;
+		
+		const parent = getComposedParent(node);
+		if (!blocks.has(parent)) {
+			blocks.set(parent, getBlockAncestor(parent));
+		}
+		
+		const nodeBlock = blocks.get(parent);
+		if (previousBlock && nodeBlock !== previousBlock) {
+			text += '\n';
+		}
+		previousBlock = nodeBlock;
+		
+		nodes.push({ node, start: text.length });
+		text += node.data;
+	}
 	
-	if (!parent) {
-		return range.toString().trim();
+	return { text, nodes };
+}
+
+/**
+ * Converts an offset in the mapped text back into a DOM position.
+ * @param {TextMap} map
+ * @param {number} offset
+ * @param {boolean} isEnd - Prefer the end of a node over the start of the next
+ * @returns {{node: Text, offset: number} | null}
+ */
+function offsetToPosition(map, offset, isEnd) {
+	for (const { node, start } of map.nodes) {
+		const end = start + node.length;
+		if (isEnd ? offset > start && offset <= end : offset >= start && offset < end) {
+			return { node, offset: offset - start };
+		}
 	}
+	return null;
+}
+
+/**
+ * Finds the sentence containing the given range using Intl.Segmenter,
+ * following the text across inline elements such as links and emphasis.
+ * @param {Range} range
+ * @returns {{text: string, range: Range}}
+ */
+function findSentence(range) {
+	const fallback = { text: range.toString().trim(), range: range.cloneRange() };
+	const map = buildTextMap(getBlockAncestor(range.commonAncestorContainer));
 	
-	const text = parent.textContent || '';
-	const selectedText = range.toString();
+	if (!map?.text) {
+		return fallback;
+	}
 	
-	if (!text || !selectedText) {
-		return selectedText.trim();
+	const selected = map.nodes.filter(({ node }) => range.intersectsNode(node));
+	if (selected.length === 0) {
+		return fallback;
 	}
 	
-	const segments = sentenceSegmenter.segment(text);
+	const first = selected[0];
+	const last = selected[selected.length - 1];
+	const selectionStart = first.start + (first.node === range.startContainer ? range.startOffset : 0);
+	const selectionEnd = last.start + (last.node === range.endContainer ? range.endOffset : last.node.length);
+	
+	let start = selectionStart;
+	let end = selectionEnd;
 	
-	for (const { segment } of segments) {
-		if (segment.includes(selectedText)) {
-			return segment.trim();
+	for (const { index, segment } of sentenceSegmenter.segment(map.text)) {
+		const segmentEnd = index + segment.length;
+		if (index <= selectionStart && selectionStart < segmentEnd) {
+			start = index;
 		}
+		if (index < selectionEnd && selectionEnd <= segmentEnd) {
+			end = segmentEnd;
+			break;
+		}
+	}
+	
+	while (start < end && /\s/.test(map.text[start])) start++;
+	while (end > start && /\s/.test(map.text[end - 1])) end--;
+	
+	const startPosition = offsetToPosition(map, start, false);
+	const endPosition = offsetToPosition(map, end, true);
+	
+	if (!startPosition || !endPosition) {
+		return fallback;
+	}
+	
+	const text = map.text.slice(start, end).replace(/\s+/g, ' ');
+	
+	// A range cannot span shadow boundaries, so only the word is highlighted
+	if (startPosition.node.getRootNode() !== endPosition.node.getRootNode()) {
+		return { text, range: fallback.range };
 	}
 	
-	return selectedText.trim();
+	const sentenceRange = document.createRange();
+	sentenceRange.setStart(startPosition.node, startPosition.offset);
+	sentenceRange.setEnd(endPosition.node, endPosition.offset);
+	
+	return { text, range: sentenceRange };
 }
 
 // ============================================================================
 // Highlighting
 // ============================================================================
 
+const SENTENCE_HIGHLIGHT = `${EXTENSION_ID}-sentence`;
+const WORD_HIGHLIGHT = `${EXTENSION_ID}-word`;
+const HIGHLIGHT_COLOR_PROPERTY = `--${EXTENSION_ID}-highlight-color`;
+
+/** @type {CSSStyleSheet | null} Copy of the highlight rules for shadow roots */
+let highlightStyleSheet = null;
+/** @type {CSSStyleSheet | null} Sets the highlight color property on the root */
+let highlightColorSheet = null;
+
 /**
- * Highlights the range containing the selected text.
- * @returns {boolean} True if highlight was created successfully
+ * Highlights the sentence and, within it, the selected word using the
+ * CSS Custom Highlight API, so the page's DOM is never modified.
+ * An anchor element positioned over the selection in the top layer
+ * gives the popup something to attach to.
+ * @param {Range} sentenceRange
+ * @param {Range} wordRange
+ * @returns {boolean} True if the popup can be anchored to the selection
  */
-function highlightRange(range) {
+function highlightRange(sentenceRange, wordRange) {
 	clearHighlight();
+	currentRange = wordRange;
+	
+	if (typeof Highlight === 'function' && CSS.highlights) {
+		adoptHighlightStyles(wordRange.startContainer.getRootNode());
+		const wordHighlight = new Highlight(wordRange);
+		wordHighlight.priority = 1;
+		CSS.highlights.set(SENTENCE_HIGHLIGHT, new Highlight(sentenceRange));
+		CSS.highlights.set(WORD_HIGHLIGHT, wordHighlight);
+	}
+	
+	const rect = wordRange.getBoundingClientRect();
+	if (rect.width === 0 && rect.height === 0) {
+		return false;
+	}
+	
+	anchorElement = document.createElement('div');
+	anchorElement.className = `${EXTENSION_ID}-anchor`;
+	anchorElement.setAttribute('popover', 'manual');
+	anchorElement.style.anchorName = '--venustum-selection';
+	getHostElement().appendChild(anchorElement);
+	anchorElement.showPopover();
+	updateAnchor();
+	
+	document.addEventListener('scroll', updateAnchor, { capture: true, passive: true });
+	window.addEventListener('resize', updateAnchor, { passive: true });
+	return true;
+}
+
+/**
+ * Moves the anchor element over the current selection.
+ */
+function updateAnchor() {
+	if (!anchorElement || !currentRange) return;
 	
+	const rect = currentRange.getBoundingClientRect();
+	Object.assign(anchorElement.style, {
+		top: `${rect.top}px`,
+		left: `${rect.left}px`,
+		width: `${rect.width}px`,
+		height: `${rect.height}px`,
+	});
+}
+
+/**
+ * Applies the highlight color setting through a custom property, which the
+ * `::highlight()` rules in venustum_content.css read. The property is set
+ * from an adopted style sheet so the root element's attributes are untouched.
+ */
+function applyHighlightColor() {
 	try {
-		highlightElement = document.createElement('span');
-		highlightElement.className = `${EXTENSION_ID}-highlight`;
-		highlightElement.style.anchorName = '--venustum-selection';
-		
-		range.surroundContents(highlightElement);
-		currentRange = range;
-		return true;
+		if (!highlightColorSheet) {
+			highlightColorSheet = new CSSStyleSheet();
+			document.adoptedStyleSheets = [...document.adoptedStyleSheets, highlightColorSheet];
+		}
+		highlightColorSheet.replaceSync(`:root { ${HIGHLIGHT_COLOR_PROPERTY}: ${settings.highlightColor}; }`);
 	} catch (error) {
-		console.log(`${EXTENSION_ID}: cannot surround contents`);
-		highlightElement = null;
-		return false;
+		console.log(`${EXTENSION_ID}: cannot apply highlight color`, error);
+	}
+}
+
+/**
+ * Adds the highlight rules to a shadow root, which page-level styles
+ * do not reach. The color still comes from the root element's custom property.
+ * @param {Node} root
+ */
+function adoptHighlightStyles(root) {
+	if (!(root instanceof ShadowRoot)) return;
+	
+	try {
+		if (!highlightStyleSheet) {
+			highlightStyleSheet = new CSSStyleSheet();
+			highlightStyleSheet.replaceSync(`
+				::highlight(${SENTENCE_HIGHLIGHT}) {
+					background-color: color-mix(in srgb, var(${HIGHLIGHT_COLOR_PROPERTY}) 25%, transparent);
+				}
+				::highlight(${WORD_HIGHLIGHT}) {
+					background-color: color-mix(in srgb, var(${HIGHLIGHT_COLOR_PROPERTY}) 70%, transparent);
+					text-decoration: underline;
+				}
+			`);
+		}
+		if (!root.adoptedStyleSheets.includes(highlightStyleSheet)) {
+			root.adoptedStyleSheets = [...root.adoptedStyleSheets, highlightStyleSheet];
+		}
+	} catch (error) {
+		console.log(`${EXTENSION_ID}: cannot style highlights in shadow root`, error);
 	}
 }
 
@@ -124,17 +452,452 @@ function highlightRange(range) {
  * Clears the current highlight.
  */
 function clearHighlight() {
-	if (highlightElement && highlightElement.parentNode) {
-		const parent = highlightElement.parentNode;
-		while (highlightElement.firstChild) {
-			parent.insertBefore(highlightElement.firstChild, highlightElement);
-		}
-		parent.removeChild(highlightElement);
+	CSS.highlights?.delete(SENTENCE_HIGHLIGHT);
+	CSS.highlights?.delete(WORD_HIGHLIGHT);
+	
+	if (anchorElement) {
+		anchorElement.remove();
+		document.removeEventListener('scroll', updateAnchor, { capture: true });
+		window.removeEventListener('resize', updateAnchor);
 	}
-	highlightElement = null;
+	anchorElement = null;
 	currentRange = null;
 }
 
+// ============================================================================
+// Saved Word Marking
+// ============================================================================
+
+const SAVED_HIGHLIGHT = `${EXTENSION_ID}-saved`;
+const SCAN_BATCH_SIZE = 200;
+const MAX_DEAD_MARKS = 500;
+/** Frames with less text than this (ads, widgets, blank iframes) don't fetch saved words until more appears */
+const MIN_MARKABLE_TEXT_LENGTH = 200;
+
+/**
+ * @typedef {Object} SavedWordMark
+ * @property {Range} range
+ * @property {SavedWord} word
+ */
+
+/** @type {Map<string, SavedWord>} Saved words by lowercase form */
+let savedWords = new Map();
+/** @type {RegExp | null} */
+let savedWordPattern = null;
+/** @type {WeakMap<Text, SavedWordMark[]>} */
+let savedWordMarks = new WeakMap();
+/** @type {Highlight | null} */
+let savedWordHighlight = null;
+/**
+ * Text to scan; items with a pattern only add marks for it, the rest
+ * are marked afresh with every saved word.
+ * @type {{source: Text | TreeWalker, pattern: RegExp | null}[]}
+ */
+let scanQueue = [];
+let isScanScheduled = false;
+let deadMarkCount = 0;
+/** @type {MutationObserver | null} */
+let savedWordObserver = null;
+/** @type {HTMLElement | null} */
+let tooltipElement = null;
+/** @type {SavedWordMark | null} */
+let hoveredMark = null;
+let isMarkingActive = false;
+
+/**
+ * Checks whether saved words should be marked on this page.
+ * @returns {boolean}
+ */
+function isMarkingEnabled() {
+	return settings.markSavedWords && !isSiteDisabled() &&
+		!settings.markSavedWordsExcludedSites.includes(SITE_HOSTNAME) &&
+		typeof Highlight === 'function' && Boolean(CSS.highlights);
+}
+
+/**
+ * Starts or stops marking to match the current settings.
+ */
+function updateSavedWordMarking() {
+	const enabled = isMarkingEnabled();
+	if (enabled === isMarkingActive) return;
+	
+	if (enabled) {
+		loadSavedWords();
+	} else {
+		stopMarkingSavedWords();
+	}
+}
+
+/**
+ * Loads saved words and marks them throughout the page, once it has text to mark.
+ */
+async function loadSavedWords() {
+	stopMarkingSavedWords();
+	isMarkingActive = true;
+	
+	if (!hasMarkableText(document.body)) {
+		savedWordObserver = new MutationObserver(() => {
+			if (hasMarkableText(document.body)) loadSavedWords();
+		});
+		savedWordObserver.observe(document.body, { childList: true, subtree: true, characterData: true });
+		return;
+	}
+	
+	let words = [];
+	try {
+		const response = await chrome.runtime.sendMessage({ action: 'get-saved-words' });
+		words = response?.words || [];
+	} catch (error) {
+		console.error(`${EXTENSION_ID}: failed to load saved words`, error);
+	}
+	
+	if (!isMarkingActive || words.length === 0) return;
+	
+	savedWords = new Map(words.flatMap(word => word.forms.map(form => [form, word])));
+	savedWordPattern = createWordPattern([...savedWords.keys()]);
+	
+	savedWordHighlight = new Highlight();
+	CSS.highlights.set(SAVED_HIGHLIGHT, savedWordHighlight);
+	
+	queueScan(document.body);
+	
+	savedWordObserver = new MutationObserver(handleMutations);
+	savedWordObserver.observe(document.body, { childList: true, subtree: true, characterData: true });
+}
+
+/**
+ * Updates the marks of saved words whose entries changed, leaving the
+ * rest of the page's marks alone.
+ * @param {string[]} headwords
+ */
+async function updateSavedWords(headwords) {
+	if (!savedWordPattern) {
+		// Nothing was marked yet: either waiting for text or no words were saved
+		loadSavedWords();
+		return;
+	}
+	
+	let words = [];
+	try {
+		const response = await chrome.runtime.sendMessage({ action: 'get-saved-words', headwords });
+		words = response?.words || [];
+	} catch (error) {
+		console.error(`${EXTENSION_ID}: failed to load saved words`, error);
+		return;
+	}
+	
+	if (!isMarkingActive || !savedWordHighlight) return;
+	
+	const changed = new Set(headwords);
+	for (const [form, word] of savedWords) {
+		if (changed.has(word.headword)) savedWords.delete(form);
+	}
+	for (const word of words) {
+		word.forms.forEach(form => savedWords.set(form, word));
+	}
+	savedWordPattern = createWordPattern([...savedWords.keys()]);
+	
+	for (const range of [...savedWordHighlight]) {
+		const marks = savedWordMarks.get(range.startContainer);
+		const mark = marks?.find(m => m.range === range);
+		if (mark && changed.has(mark.word.headword)) {
+			savedWordHighlight.delete(range);
+			marks.splice(marks.indexOf(mark), 1);
+		}
+	}
+	
+	const addedPattern = createWordPattern(words.flatMap(word => word.forms));
+	if (addedPattern && document.body.textContent.search(addedPattern) !== -1) {
+		queueScan(document.body, addedPattern);
+	}
+}
+
+/**
+ * Builds a pattern matching any of the given forms as whole words,
+ * longest first so phrases win over the words in them.
+ * @param {string[]} forms
+ * @returns {RegExp | null} Null when there are no forms
+ */
+function createWordPattern(forms) {
+	if (forms.length === 0) return null;
+	
+	const alternatives = [...forms]
+		.sort((a, b) => b.length - a.length)
+		.map(form => escapeRegExp(form).replace(/ /g, '\\s+'));
+	return new RegExp(`(?<![\\p{L}\\p{N}])(?:${alternatives.join('|')})(?![\\p{L}\\p{N}])`, 'giu');
+}
+
+/**
+ * Checks whether an element holds enough page text to be worth marking.
+ * @param {Node} root
+ * @returns {boolean}
+ */
+function hasMarkableText(root) {
+	const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT);
+	let length = 0;
+	
+	for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+		const parent = node.parentElement;
+		if (!parent || SKIPPED_ELEMENTS.has(parent.tagName) || isOwnElement(parent)) continue;
+		
+		length += node.data.trim().length;
+		if (length >= MIN_MARKABLE_TEXT_LENGTH) return true;
+	}
+	return false;
+}
+
+/**
+ * Removes all saved word marks and stops watching the page.
+ */
+function stopMarkingSavedWords() {
+	isMarkingActive = false;
+	savedWordObserver?.disconnect();
+	savedWordObserver = null;
+	CSS.highlights?.delete(SAVED_HIGHLIGHT);
+	savedWordHighlight = null;
+	savedWordPattern = null;
+	savedWords = new Map();
+	savedWordMarks = new WeakMap();
+	scanQueue = [];
+	deadMarkCount = 0;
+	hideTooltip();
+}
+
+/**
+ * Queues new or changed page content for scanning.
+ * @param {MutationRecord[]} mutations
+ */
+function handleMutations(mutations) {
+	for (const mutation of mutations) {
+		if (mutation.type === 'characterData') {
+			queueScan(mutation.target);
+		} else {
+			mutation.addedNodes.forEach(queueScan);
+			deadMarkCount += mutation.removedNodes.length;
+		}
+	}
+}
+
+/**
+ * Queues a node for scanning in idle time.
+ * @param {Node} root
+ * @param {RegExp | null} [pattern] - Only adds marks for these words, keeping the others
+ */
+function queueScan(root, pattern = null) {
+	if (!savedWordPattern) return;
+	
+	if (root.nodeType === Node.TEXT_NODE) {
+		scanQueue.push({ source: root, pattern });
+	} else if (root.nodeType === Node.ELEMENT_NODE && !isOwnElement(root)) {
+		scanQueue.push({ source: document.createTreeWalker(root, NodeFilter.SHOW_TEXT), pattern });
+	} else {
+		return;
+	}
+	
+	if (!isScanScheduled) {
+		isScanScheduled = true;
+		requestIdleCallback(processScanQueue, { timeout: 1000 });
+	}
+}
+
+/**
+ * Scans queued text nodes in batches until idle time runs out.
+ * @param {IdleDeadline} deadline
+ */
+function processScanQueue(deadline) {
+	isScanScheduled = false;
+	
+	if (deadMarkCount > MAX_DEAD_MARKS) {
+		pruneDeadMarks();
+	}
+	
+	while (scanQueue.length > 0 && (deadline.timeRemaining() > 1 || deadline.didTimeout)) {
+		const { source, pattern } = scanQueue[0];
+		
+		if (source.nodeType === Node.TEXT_NODE) {
+			scanQueue.shift();
+			markTextNode(source, pattern);
+			continue;
+		}
+		
+		for (let i = 0; i < SCAN_BATCH_SIZE; i++) {
+			const node = source.nextNode();
+			if (!node) {
+				scanQueue.shift();
+				break;
+			}
+			markTextNode(node, pattern);
+		}
+		
+		if (deadline.didTimeout) break;
+	}
+	
+	if (scanQueue.length > 0 && !isScanScheduled) {
+		isScanScheduled = true;
+		requestIdleCallback(processScanQueue, { timeout: 1000 });
+	}
+}
+
+/**
+ * Marks occurrences of saved words in a text node.
+ * @param {Text} node
+ * @param {RegExp | null} [pattern] - Only adds marks for these words, keeping the node's others
+ */
+function markTextNode(node, pattern = null) {
+	if (!savedWordPattern || !savedWordHighlight) return;
+	
+	if (!pattern) {
+		for (const mark of savedWordMarks.get(node) || []) {
+			savedWordHighlight.delete(mark.range);
+		}
+		savedWordMarks.delete(node);
+	}
+	
+	const parent = node.parentElement;
+	if (!node.isConnected || !parent || node.data.trim().length < 2) return;
+	if (SKIPPED_ELEMENTS.has(parent.tagName) || parent.isContentEditable || isOwnElement(parent)) return;
+	
+	/** @type {SavedWordMark[]} */
+	const marks = savedWordMarks.get(node) || [];
+	const isMarked = (start) => marks.some(mark => mark.range.startOffset === start);
+	
+	for (const match of node.data.matchAll(pattern || savedWordPattern)) {
+		const word = savedWords.get(match[0].toLowerCase().replace(/\s+/g, ' '));
+		if (!word || isMarked(match.index)) continue;
+		
+		const range = document.createRange();
+		range.setStart(node, match.index);
+		range.setEnd(node, match.index + match[0].length);
+		savedWordHighlight.add(range);
+		marks.push({ range, word });
+	}
+	
+	if (marks.length > 0) {
+		savedWordMarks.set(node, marks);
+	}
+}
+
+/**
+ * Drops marks whose text was removed from the page.
+ */
+function pruneDeadMarks() {
+	deadMarkCount = 0;
+	for (const range of savedWordHighlight) {
+		if (range.collapsed || !range.startContainer.isConnected) {
+			savedWordHighlight.delete(range);
+		}
+	}
+}
+
+/**
+ * Finds the saved word mark under a point.
+ * @param {number} x
+ * @param {number} y
+ * @returns {SavedWordMark | null}
+ */
+function findMarkAtPoint(x, y) {
+	const position = document.caretPositionFromPoint?.(x, y);
+	const node = position?.offsetNode ?? document.caretRangeFromPoint?.(x, y)?.startContainer;
+	const marks = node && savedWordMarks.get(node);
+	if (!marks) return null;
+	
+	return marks.find(({ range }) => [...range.getClientRects()].some(rect =>
+		x >= rect.left && x <= rect.right && y >= rect.top && y <= rect.bottom
+	)) || null;
+}
+
+/**
+ * Shows the stored definition of the saved word under the pointer.
+ * @param {PointerEvent} event
+ */
+function handleSavedWordHover(event) {
+	if (!isMarkingActive || isPointerDown) return;
+	
+	const mark = findMarkAtPoint(event.clientX, event.clientY);
+	if (mark === hoveredMark) return;
+	
+	if (mark) {
+		showTooltip(mark);
+	} else {
+		hideTooltip();
+	}
+}
+
+/**
+ * Opens the lookup popup for a clicked saved word.
+ * Clicks on links keep their normal behaviour.
+ * @param {MouseEvent} event
+ */
+function handleSavedWordClick(event) {
+	if (!isMarkingActive || !window.getSelection()?.isCollapsed) return;
+	if (event.target instanceof Element && event.target.closest('a, button, input, select, textarea')) return;
+	
+	const mark = findMarkAtPoint(event.clientX, event.clientY);
+	if (!mark) return;
+	
+	hideTooltip();
+	showSelectionPopup({ text: mark.range.toString(), range: mark.range.cloneRange() });
+}
+
+/**
+ * Shows a tooltip with a saved word's definition below the word.
+ * @param {SavedWordMark} mark
+ */
+function showTooltip(mark) {
+	hideTooltip();
+	hoveredMark = mark;
+	
+	const { word } = mark;
+	tooltipElement = document.createElement('div');
+	tooltipElement.className = `${EXTENSION_ID}-tooltip`;
+	tooltipElement.setAttribute('popover', 'manual');
+	tooltipElement.innerHTML = `
+		<span class="${EXTENSION_ID}-tooltip-word">${escapeHtml(word.headword)}</span>
+		${word.partOfSpeech ? `<span class="${EXTENSION_ID}-popup-pos">${escapeHtml(word.partOfSpeech)}</span>` : ''}
+		<div>${escapeHtml(word.definition || 'Saved without a definition.')}</div>
+	`;
+	
+	const rect = mark.range.getBoundingClientRect();
+	tooltipElement.style.top = `${rect.bottom + 4}px`;
+	tooltipElement.style.left = `${rect.left}px`;
+	
+	getHostElement().appendChild(tooltipElement);
+	tooltipElement.showPopover();
+}
+
+/**
+ * Hides the saved word tooltip.
+ */
+function hideTooltip() {
+	tooltipElement?.remove();
+	tooltipElement = null;
+	hoveredMark = null;
+}
+
+/**
+ * Checks whether an element belongs to Venustum's own UI.
+ * @param {Element} element
+ * @returns {boolean}
+ */
+function isOwnElement(element) {
+	return Boolean(element.closest(`.${EXTENSION_ID}-host`));
+}
+
+/**
+ * Gets the element that holds the popup, anchor and tooltip. It is added
+ * after the body rather than inside it, so frameworks that own the body
+ * never find nodes they did not render.
+ * @returns {HTMLElement}
+ */
+function getHostElement() {
+	if (!hostElement?.isConnected) {
+		hostElement = document.createElement('div');
+		hostElement.className = `${EXTENSION_ID}-host`;
+		document.documentElement.appendChild(hostElement);
+	}
+	return hostElement;
+}
+
 // ============================================================================
 // Popup UI
 // ============================================================================
@@ -151,13 +914,27 @@ function showPopup(word, sentence, definition, hasAnchor) {
 	
 	popupElement = document.createElement('div');
 	popupElement.className = `${EXTENSION_ID}-popup${hasAnchor ? '' : '-fallback'}`;
-	popupElement.setAttribute('popover', 'auto');
+	popupElement.setAttribute('popover', settings.autoClose ? 'auto' : 'manual');
 	popupElement.innerHTML = createPopupContent(word, sentence, definition);
 	
-	document.body.appendChild(popupElement);
+	getHostElement().appendChild(popupElement);
 	popupElement.showPopover();
 	
 	addPopupEventListeners(popupElement, word, sentence, definition);
+	
+	// Frames each have their own popup; close the others in the tab
+	chrome.runtime.sendMessage({ action: 'popup-shown', frameToken: FRAME_TOKEN }).catch(error => {
+		console.error(`${EXTENSION_ID}: failed to announce popup`, error);
+	});
+}
+
+/**
+ * Closes the popup and clears the highlight.
+ */
+function closePopup() {
+	hidePopup();
+	clearHighlight();
+	currentWord = null;
 }
 
 /**
@@ -165,18 +942,23 @@ function showPopup(word, sentence, definition, hasAnchor) {
  * @param {string} word
  * @param {string} sentence
  * @param {DictionaryResponse | null} definition
+ * @param {Object} [options]
+ * @param {string} [options.lemma] - Headword the word was looked up as
+ * @param {ComponentMeaning[]} [options.components] - Shown when a phrase has no entry
+ * @param {string} [options.emptyMessage] - Shown in place of a missing definition
  * @returns {string}
  */
-function createPopupContent(word, sentence, definition) {
+function createPopupContent(word, sentence, definition, { lemma, components = [], emptyMessage = 'Loading definition...' } = {}) {
 	const escapedWord = escapeHtml(word);
 	const escapedSentence = escapeHtml(sentence);
 	
-	let definitionHtml = `<p class="${EXTENSION_ID}-popup-loading">Loading definition...</p>`;
+	let definitionHtml = `<p class="${EXTENSION_ID}-popup-loading">${escapeHtml(emptyMessage)}</p>`;
 	
 	if (definition) {
-		definitionHtml = definition.meanings.map(meaning => {
-			const defs = meaning.definitions.slice(0, 2).map((def, i) => {
-				let html = `<div class="${EXTENSION_ID}-popup-def">
+		definitionHtml = definition.meanings.map((meaning, index) => {
+			const defs = meaning.definitions.slice(0, settings.definitionsPerMeaning).map((def, i) => {
+				const selected = index === 0 && i === 0 ? ` ${EXTENSION_ID}-popup-def-selected` : '';
+				let html = `<div class="${EXTENSION_ID}-popup-def${selected}" data-index="${i}" title="Save this sense">
 					<span class="${EXTENSION_ID}-popup-def-num">${i + 1}.</span> ${escapeHtml(def.definition)}
 				</div>`;
 				if (def.example) {
@@ -187,50 +969,209 @@ function createPopupContent(word, sentence, definition) {
 				return html;
 			}).join('');
 			
-			return `<div class="${EXTENSION_ID}-popup-meaning">
+			return `<div class="${EXTENSION_ID}-popup-meaning${index === 0 ? ` ${EXTENSION_ID}-popup-meaning-active` : ''}" data-index="${index}">
 				<span class="${EXTENSION_ID}-popup-pos">${escapeHtml(meaning.partOfSpeech)}</span>
 				${defs}
 			</div>`;
 		}).join('');
 	}
 	
+	if (!definition && components.length > 0) {
+		definitionHtml = createComponentsContent(components);
+	}
+	
+	const senseCount = definition?.meanings
+		.reduce((sum, m) => sum + Math.min(m.definitions.length, settings.definitionsPerMeaning), 0) || 0;
+	if (senseCount > 1) {
+		definitionHtml = `<p class="${EXTENSION_ID}-popup-hint">Pick the sense that fits the sentence.</p>${definitionHtml}`;
+	}
+	
 	const phonetic = definition?.phonetic || '';
+	const audioHtml = definition ? createAudioButtons(getPronunciations(definition)) : '';
 	
 	return `
 		<div class="${EXTENSION_ID}-popup-header">
 			<span class="${EXTENSION_ID}-popup-word">${escapedWord}</span>
+			${lemma && lemma !== word.toLowerCase() ? `<span class="${EXTENSION_ID}-popup-lemma">→ ${escapeHtml(lemma)}</span>` : ''}
 			${phonetic ? `<span class="${EXTENSION_ID}-popup-phonetic">${escapeHtml(phonetic)}</span>` : ''}
+			${audioHtml}
 		</div>
+		<div class="${EXTENSION_ID}-popup-saved" hidden></div>
 		<div class="${EXTENSION_ID}-popup-definitions">
 			${definitionHtml}
 		</div>
 		<div class="${EXTENSION_ID}-popup-sentence">
 			${escapedSentence}
 		</div>
+		<input class="${EXTENSION_ID}-tags-input" type="text" placeholder="Tags (comma-separated)" list="${TAG_LIST_ID}">
+		<datalist id="${TAG_LIST_ID}"></datalist>
 		<div class="${EXTENSION_ID}-popup-actions">
 			<button class="${EXTENSION_ID}-save-btn">Save to vocabulary</button>
+			<button class="${EXTENSION_ID}-unsave-btn" title="Remove this word and all its sentences from your vocabulary" hidden>Un-save</button>
 			<button class="${EXTENSION_ID}-close-btn">Close</button>
 		</div>
 	`;
 }
 
+/**
+ * Shows whether the word is already saved, how often and where it was
+ * seen, and turns the Save button into one that adds this sentence.
+ * @param {HTMLElement} popup
+ * @param {SavedEntry | null} entry
+ * @param {string} sentence
+ */
+function renderSavedState(popup, entry, sentence) {
+	const section = popup.querySelector(`.${EXTENSION_ID}-popup-saved`);
+	const saveBtn = popup.querySelector(`.${EXTENSION_ID}-save-btn`);
+	const unsaveBtn = popup.querySelector(`.${EXTENSION_ID}-unsave-btn`);
+	if (!section || !saveBtn || !unsaveBtn) return;
+	
+	popup.dataset.entryId = entry?.id || '';
+	section.hidden = !entry;
+	unsaveBtn.hidden = !entry;
+	resetUnsaveButton(unsaveBtn);
+	
+	if (!entry) {
+		section.innerHTML = '';
+		saveBtn.textContent = 'Save to vocabulary';
+		saveBtn.disabled = false;
+		return;
+	}
+	
+	const count = Math.max(entry.contexts.length, 1);
+	const items = [...entry.contexts].reverse().map(context => {
+		const label = context.sourceTitle || getHostname(context.sourceUrl) || context.sourceUrl;
+		const source = /^https?:/i.test(context.sourceUrl)
+			? `<a class="${EXTENSION_ID}-popup-saved-source" href="${escapeHtml(context.sourceUrl)}" target="_blank" rel="noopener noreferrer">${escapeHtml(label)}</a>`
+			: '';
+		return `<li class="${EXTENSION_ID}-popup-saved-context">
+			${context.sentence ? `<span class="${EXTENSION_ID}-popup-saved-sentence">${escapeHtml(context.sentence)}</span>` : ''}
+			${source}
+		</li>`;
+	}).join('');
+	
+	section.innerHTML = `<details>
+		<summary>Saved ${count === 1 ? 'once' : `${count} times`}</summary>
+		<ul class="${EXTENSION_ID}-popup-saved-contexts">${items}</ul>
+	</details>`;
+	
+	const hasSentence = entry.contexts.some(context => sentence
+		? context.sentence === sentence
+		: context.sourceUrl === location.href);
+	saveBtn.textContent = hasSentence ? 'Sentence already saved' : 'Add this sentence';
+	saveBtn.disabled = hasSentence;
+}
+
+/**
+ * Returns the Un-save button to its unconfirmed state.
+ * @param {HTMLButtonElement} unsaveBtn
+ */
+function resetUnsaveButton(unsaveBtn) {
+	delete unsaveBtn.dataset.confirming;
+	unsaveBtn.textContent = 'Un-save';
+}
+
+/**
+ * Creates the component meanings section for a phrase without an entry.
+ * @param {ComponentMeaning[]} components
+ * @returns {string}
+ */
+function createComponentsContent(components) {
+	const items = components.map(({ word, lemma, definition }) => {
+		const meaning = definition.meanings[0];
+		const def = meaning?.definitions[0]?.definition || '';
+		return `<div class="${EXTENSION_ID}-popup-component">
+			<span class="${EXTENSION_ID}-popup-component-word">${escapeHtml(lemma || word)}</span>
+			${meaning?.partOfSpeech ? `<span class="${EXTENSION_ID}-popup-pos">${escapeHtml(meaning.partOfSpeech)}</span>` : ''}
+			${escapeHtml(def)}
+		</div>`;
+	}).join('');
+	
+	return `<p class="${EXTENSION_ID}-popup-components-label">No entry for the whole phrase. Component meanings:</p>
+		${items}`;
+}
+
+/**
+ * Creates play buttons for each pronunciation, or a single speech
+ * synthesis button when there are no recordings.
+ * @param {{label: string, audio: string}[]} pronunciations
+ * @returns {string}
+ */
+function createAudioButtons(pronunciations) {
+	if (pronunciations.length === 0) {
+		return `<button class="${EXTENSION_ID}-audio-btn" title="Play pronunciation (speech synthesis)">▶</button>`;
+	}
+	
+	return pronunciations.map(({ label, audio }) => `
+		<button class="${EXTENSION_ID}-audio-btn" data-audio="${escapeHtml(audio)}" title="Play ${escapeHtml(label)} pronunciation">▶ ${escapeHtml(label)}</button>
+	`).join('');
+}
+
 /**
  * Adds event listeners to popup elements.
  * @param {HTMLElement} popup
  * @param {string} word
  * @param {string} sentence
  * @param {DictionaryResponse | null} definition
+ * @param {string} [lemma]
+ * @param {ComponentMeaning[]} [components]
  */
-function addPopupEventListeners(popup, word, sentence, definition) {
+function addPopupEventListeners(popup, word, sentence, definition, lemma, components) {
 	const saveBtn = popup.querySelector(`.${EXTENSION_ID}-save-btn`);
+	const unsaveBtn = popup.querySelector(`.${EXTENSION_ID}-unsave-btn`);
 	const closeBtn = popup.querySelector(`.${EXTENSION_ID}-close-btn`);
+	const tagsInput = popup.querySelector(`.${EXTENSION_ID}-tags-input`);
+	
+	popup.querySelectorAll(`.${EXTENSION_ID}-popup-def`).forEach(def => {
+		def.addEventListener('click', () => selectDefinition(def));
+	});
+	
+	popup.querySelectorAll(`.${EXTENSION_ID}-audio-btn`).forEach(btn => {
+		btn.addEventListener('click', () => playPronunciation(btn.dataset.audio, word));
+	});
 	
 	if (saveBtn) {
-		saveBtn.addEventListener('click', () => {
-			saveEntry(word, sentence, definition);
-			saveBtn.textContent = 'Saved!';
+		saveBtn.addEventListener('click', async () => {
+			const tags = tagsInput ? tagsInput.value.split(',') : [];
+			const selected = popup.querySelector(`.${EXTENSION_ID}-popup-def-selected`);
+			const meaningIndex = Number(selected?.closest(`.${EXTENSION_ID}-popup-meaning`).dataset.index || 0);
+			const definitionIndex = Number(selected?.dataset.index || 0);
+			const wasSaved = Boolean(popup.dataset.entryId);
 			saveBtn.disabled = true;
+			
+			if (!await saveEntry(word, sentence, definition, { tags, lemma, components, meaningIndex, definitionIndex })) {
+				saveBtn.textContent = 'Could not save';
+				saveBtn.disabled = false;
+				return;
+			}
+			
+			renderSavedState(popup, await findSavedEntry(lemma || word.toLowerCase()), sentence);
+			saveBtn.textContent = wasSaved ? 'Added!' : 'Saved!';
+			saveBtn.disabled = true;
+		});
+	}
+	
+	if (unsaveBtn) {
+		unsaveBtn.addEventListener('click', async () => {
+			const id = popup.dataset.entryId;
+			if (!id) return;
+			
+			// Deleting drops every saved sentence, so the first click only arms the button
+			if (!unsaveBtn.dataset.confirming) {
+				unsaveBtn.dataset.confirming = 'true';
+				unsaveBtn.textContent = 'Click again to remove';
+				return;
+			}
+			
+			unsaveBtn.disabled = true;
+			if (await deleteSavedEntry(id)) {
+				renderSavedState(popup, null, sentence);
+			}
+			resetUnsaveButton(unsaveBtn);
+			unsaveBtn.disabled = false;
 		});
+		
+		unsaveBtn.addEventListener('blur', () => resetUnsaveButton(unsaveBtn));
 	}
 	
 	if (closeBtn) {
@@ -247,6 +1188,59 @@ function addPopupEventListeners(popup, word, sentence, definition) {
 	});
 }
 
+/**
+ * Selects the sense that is saved, making its meaning the active one.
+ * @param {Element} def - A definition element of the popup
+ */
+function selectDefinition(def) {
+	const meaning = def.closest(`.${EXTENSION_ID}-popup-meaning`);
+	const popup = def.closest(`.${EXTENSION_ID}-popup-definitions`);
+	const activeClass = `${EXTENSION_ID}-popup-meaning-active`;
+	const selectedClass = `${EXTENSION_ID}-popup-def-selected`;
+	
+	popup.querySelector(`.${activeClass}`)?.classList.remove(activeClass);
+	popup.querySelector(`.${selectedClass}`)?.classList.remove(selectedClass);
+	meaning.classList.add(activeClass);
+	def.classList.add(selectedClass);
+}
+
+/**
+ * Moves the active meaning of the popup, selecting its first sense.
+ * @param {number} step - 1 for the next meaning, -1 for the previous one
+ */
+function moveActiveMeaning(step) {
+	if (!popupElement) return;
+	
+	const meanings = [...popupElement.querySelectorAll(`.${EXTENSION_ID}-popup-meaning`)];
+	if (meanings.length === 0) return;
+	
+	const activeClass = `${EXTENSION_ID}-popup-meaning-active`;
+	const current = meanings.findIndex(m => m.classList.contains(activeClass));
+	const next = Math.min(Math.max(current + step, 0), meanings.length - 1);
+	
+	const def = meanings[next].querySelector(`.${EXTENSION_ID}-popup-def`);
+	if (def) selectDefinition(def);
+	meanings[next].scrollIntoView({ block: 'nearest' });
+}
+
+/**
+ * Fills the popup's tag suggestions with tags already in use.
+ * @param {HTMLElement} popup
+ */
+async function loadTagSuggestions(popup) {
+	try {
+		const response = await chrome.runtime.sendMessage({ action: 'get-tags' });
+		const datalist = popup.querySelector('datalist');
+		if (!datalist || !response?.tags) return;
+		
+		datalist.innerHTML = response.tags
+			.map(({ tag }) => `<option value="${escapeHtml(tag)}"></option>`)
+			.join('');
+	} catch (error) {
+		console.error(`${EXTENSION_ID}: failed to load tags`, error);
+	}
+}
+
 /**
  * Hides and removes the popup.
  */
@@ -262,6 +1256,65 @@ function hidePopup() {
 	popupElement = null;
 }
 
+// ============================================================================
+// Pronunciation
+// ============================================================================
+
+/**
+ * Gets the available pronunciation recordings, labelled by accent.
+ * The accent is inferred from the file name (e.g. `hello-uk.mp3`).
+ * @param {DictionaryResponse} definition
+ * @returns {{label: string, audio: string}[]}
+ */
+function getPronunciations(definition) {
+	const seen = new Set();
+	const pronunciations = [];
+	
+	for (const { audio } of definition.phonetics || []) {
+		if (!audio) continue;
+		
+		const match = audio.match(/[-_]([a-z]{2})\.(?:mp3|ogg|wav|m4a)$/i);
+		const label = match ? match[1].toUpperCase() : 'Audio';
+		
+		if (seen.has(label)) continue;
+		seen.add(label);
+		pronunciations.push({ label, audio });
+	}
+	
+	return pronunciations;
+}
+
+/**
+ * Plays a pronunciation recording, falling back to speech synthesis
+ * when there is no recording or it cannot be played.
+ * @param {string | undefined} audioUrl
+ * @param {string} text
+ */
+function playPronunciation(audioUrl, text) {
+	if (!audioUrl) {
+		speak(text);
+		return;
+	}
+	
+	new Audio(audioUrl).play().catch(error => {
+		console.log(`${EXTENSION_ID}: cannot play audio, using speech synthesis`, error);
+		speak(text);
+	});
+}
+
+/**
+ * Reads text aloud with the browser's speech synthesis.
+ * @param {string} text
+ */
+function speak(text) {
+	if (!('speechSynthesis' in window)) return;
+	
+	speechSynthesis.cancel();
+	const utterance = new SpeechSynthesisUtterance(text);
+	utterance.lang = 'en-US';
+	speechSynthesis.speak(utterance);
+}
+
 // ============================================================================
 // Data Operations
 // ============================================================================
@@ -271,19 +1324,36 @@ function hidePopup() {
  * @param {string} word
  * @param {string} sentence
  * @param {DictionaryResponse | null} definition
+ * @param {Object} [extras]
+ * @param {string[]} [extras.tags]
+ * @param {string} [extras.lemma]
+ * @param {ComponentMeaning[]} [extras.components] - Saved as the definition of a phrase without an entry
+ * @param {number} [extras.meaningIndex] - Meaning to save, defaults to the first
+ * @param {number} [extras.definitionIndex] - Sense within the meaning to save, defaults to the first
+ * @returns {Promise<boolean>} Whether the word or its sentence was new
  */
-async function saveEntry(word, sentence, definition) {
-	/** @type {SavedEntry} */
+async function saveEntry(word, sentence, definition, { tags = [], lemma, components = [], meaningIndex = 0, definitionIndex = 0 } = {}) {
+	const componentDefinition = components
+		.map(c => `${c.lemma}: ${c.definition.meanings[0]?.definitions[0]?.definition || ''}`)
+		.join('; ');
+	
+	const meaning = definition?.meanings[meaningIndex] || definition?.meanings[0];
+	
+	/** @type {EntryDraft} */
 	const entry = {
 		id: `${Date.now()}-${Math.random().toString(36).slice(2, 9)}`,
 		word: word,
+		lemma: lemma || word.toLowerCase(),
 		sentence: sentence,
-		definition: definition?.meanings[0]?.definitions[0]?.definition || '',
-		partOfSpeech: definition?.meanings[0]?.partOfSpeech || '',
+		definition: (meaning?.definitions[definitionIndex] || meaning?.definitions[0])?.definition || componentDefinition,
+		partOfSpeech: meaning?.partOfSpeech || (componentDefinition ? 'phrase' : ''),
 		phonetic: definition?.phonetic || '',
 		sourceUrl: location.href,
 		sourceTitle: document.title,
 		createdAt: Date.now(),
+		tags: tags,
+		audio: definition ? getPronunciations(definition)[0]?.audio || '' : '',
+		meanings: definition?.meanings || [],
 	};
 	
 	try {
@@ -295,15 +1365,82 @@ async function saveEntry(word, sentence, definition) {
 		if (response?.success) {
 			console.log(`${EXTENSION_ID}: entry saved`, entry.id);
 		}
+		return response?.success === true;
 	} catch (error) {
 		console.error(`${EXTENSION_ID}: failed to save entry`, error);
+		return false;
+	}
+}
+
+/**
+ * Gets the saved entry for a headword, if the word was saved before.
+ * @param {string} headword
+ * @returns {Promise<SavedEntry | null>}
+ */
+async function findSavedEntry(headword) {
+	try {
+		const response = await chrome.runtime.sendMessage({ action: 'find-entry', headword });
+		return response?.entry || null;
+	} catch (error) {
+		console.error(`${EXTENSION_ID}: failed to find saved entry`, error);
+		return null;
+	}
+}
+
+/**
+ * Removes a saved entry with all its sentences.
+ * @param {string} id
+ * @returns {Promise<boolean>}
+ */
+async function deleteSavedEntry(id) {
+	try {
+		const response = await chrome.runtime.sendMessage({ action: 'delete-entry', id });
+		return response?.success === true;
+	} catch (error) {
+		console.error(`${EXTENSION_ID}: failed to delete entry`, error);
+		return false;
+	}
+}
+
+/**
+ * Loads settings from the background script.
+ */
+async function loadSettings() {
+	try {
+		const response = await chrome.runtime.sendMessage({ action: 'get-settings' });
+		if (response?.settings) {
+			settings = response.settings;
+			applyHighlightColor();
+			updateSavedWordMarking();
+			updateActionIcon();
+			
+			if (isSiteDisabled()) {
+				closePopup();
+			}
+		}
+	} catch (error) {
+		console.error(`${EXTENSION_ID}: failed to load settings`, error);
+	}
+}
+
+/**
+ * Asks the background to show this site's state in the action icon.
+ */
+async function updateActionIcon() {
+	if (window !== window.top) return;
+	
+	try {
+		await chrome.runtime.sendMessage({ action: 'update-action-icon' });
+	} catch (error) {
+		console.error(`${EXTENSION_ID}: failed to update action icon`, error);
 	}
 }
 
 /**
  * Fetches definition from dictionary API via background script.
+ * The background looks the word up by its headword first.
  * @param {string} word
- * @returns {Promise<DictionaryResponse | null>}
+ * @returns {Promise<{definition: DictionaryResponse | null, lemma: string, components: ComponentMeaning[], offline: boolean, uncached: boolean}>}
  */
 async function fetchDefinition(word) {
 	try {
@@ -311,10 +1448,16 @@ async function fetchDefinition(word) {
 			action: 'fetch-definition',
 			word: word,
 		});
-		return response?.definition || null;
+		return {
+			definition: response?.definition || null,
+			lemma: response?.lemma || word,
+			components: response?.components || [],
+			offline: Boolean(response?.offline),
+			uncached: Boolean(response?.uncached),
+		};
 	} catch (error) {
 		console.error(`${EXTENSION_ID}: failed to fetch definition`, error);
-		return null;
+		return { definition: null, lemma: word, components: [], offline: false, uncached: false };
 	}
 }
 
@@ -333,6 +1476,28 @@ function escapeHtml(str) {
 	return div.innerHTML;
 }
 
+/**
+ * Escapes a string for literal use in a regular expression.
+ * @param {string} str
+ * @returns {string}
+ */
+function escapeRegExp(str) {
+	return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Gets the hostname of a URL, or an empty string if it is invalid.
+ * @param {string} [url]
+ * @returns {string}
+ */
+function getHostname(url) {
+	try {
+		return new URL(url).hostname;
+	} catch {
+		return '';
+	}
+}
+
 /**
  * Gets the selected text from a selection event.
  * @param {Selection} selection
@@ -341,7 +1506,7 @@ function escapeHtml(str) {
 function getSelectionInfo(selection) {
 	if (!selection || selection.rangeCount === 0) return null;
 	
-	const range = selection.getRangeAt(0);
+	const range = getComposedRange(selection);
 	const text = range.toString().trim();
 	
 	if (!text) return null;
@@ -349,6 +1514,58 @@ function getSelectionInfo(selection) {
 	return { text, range };
 }
 
+/**
+ * Gets the selected range, reaching into the open shadow roots around
+ * the last pointer interaction. Inside a shadow root the document
+ * selection only reports a range around the host.
+ * @param {Selection} selection
+ * @returns {Range}
+ */
+function getComposedRange(selection) {
+	const shadowRoots = selectionShadowRoots.filter(root => root.host.isConnected);
+	if (shadowRoots.length === 0) {
+		return selection.getRangeAt(0);
+	}
+	
+	if (typeof selection.getComposedRanges === 'function') {
+		const [composed] = selection.getComposedRanges({ shadowRoots });
+		if (composed) {
+			const range = document.createRange();
+			range.setStart(composed.startContainer, composed.startOffset);
+			range.setEnd(composed.endContainer, composed.endOffset);
+			return range;
+		}
+	}
+	
+	// Older Chromium exposes the selection on the shadow root instead
+	const shadowSelection = shadowRoots[0].getSelection?.();
+	if (shadowSelection?.rangeCount > 0) {
+		return shadowSelection.getRangeAt(0);
+	}
+	
+	return selection.getRangeAt(0);
+}
+
+/**
+ * Gets the hostname of the tab's page, which site settings apply to,
+ * from inside any frame.
+ * @returns {string}
+ */
+function getSiteHostname() {
+	try {
+		return window.top.location.hostname;
+	} catch {
+		// Cross-origin frame
+		const origins = location.ancestorOrigins;
+		if (origins?.length > 0) {
+			return new URL(origins[origins.length - 1]).hostname;
+		}
+		return document.referrer ? new URL(document.referrer).hostname : location.hostname;
+	}
+}
+
+const SITE_HOSTNAME = getSiteHostname();
+
 // ============================================================================
 // Event Handlers
 // ============================================================================
@@ -357,6 +1574,90 @@ let isProcessingSelection = false;
 let isPointerDown = false;
 let pendingSelectionInfo = null;
 let lastPopupTime = 0;
+let lastDblClickTime = 0;
+let isModifierHeld = false;
+
+/**
+ * Checks whether a selection should open the popup under the current settings.
+ * @param {{text: string, range: Range}} info
+ * @returns {boolean}
+ */
+function shouldTrigger(info) {
+	if (isSiteDisabled()) return false;
+	
+	const length = info.text.length;
+	if (length < settings.minSelectionLength || length > settings.maxSelectionLength) {
+		return false;
+	}
+	
+	switch (settings.triggerMode) {
+		case 'dblclick':
+			return Date.now() - lastDblClickTime < 500;
+		case 'modifier':
+			return isModifierHeld;
+		default:
+			return true;
+	}
+}
+
+/**
+ * Checks whether Venustum is turned off on this site.
+ * @returns {boolean}
+ */
+function isSiteDisabled() {
+	if (settings.paused) return true;
+	
+	return settings.siteMode === 'allowlist'
+		? !settings.enabledSites.includes(SITE_HOSTNAME)
+		: settings.disabledSites.includes(SITE_HOSTNAME);
+}
+
+/**
+ * Runs a keyboard shortcut forwarded by the background script.
+ * @param {string} command
+ */
+function handleCommand(command) {
+	switch (command) {
+		case 'lookup-selection': {
+			// Shortcuts reach every frame; only the focused one has the user's selection
+			if (!document.hasFocus() || document.activeElement instanceof HTMLIFrameElement) return;
+			// An explicit request, so neither the trigger mode nor the site settings apply
+			const info = getSelectionInfo(window.getSelection());
+			if (info) showSelectionPopup(info);
+			break;
+		}
+		case 'save-word': {
+			const saveBtn = popupElement?.querySelector(`.${EXTENSION_ID}-save-btn`);
+			if (saveBtn && !saveBtn.disabled) saveBtn.click();
+			break;
+		}
+		case 'close-popup':
+			closePopup();
+			break;
+		case 'next-meaning':
+			moveActiveMeaning(1);
+			break;
+		case 'previous-meaning':
+			moveActiveMeaning(-1);
+			break;
+	}
+}
+
+/**
+ * Gets the selected word with its sentence, for saving without the popup.
+ * @returns {{word: string, sentence: string, sourceUrl: string, sourceTitle: string} | null}
+ */
+function getSelectionContext() {
+	const info = getSelectionInfo(window.getSelection());
+	if (!info) return null;
+	
+	return {
+		word: info.text,
+		sentence: findSentence(info.range).text,
+		sourceUrl: location.href,
+		sourceTitle: document.title,
+	};
+}
 
 /**
  * Handles text selection.
@@ -367,13 +1668,16 @@ async function handleSelection() {
 	
 	try {
 		const selection = window.getSelection();
+		
+		// Clicking a sense, typing tags or opening the saved contexts moves
+		// the selection into the popup; that is not a new selection
+		if (isInPopup(selection?.anchorNode) || isInPopup(document.activeElement)) return;
+		
 		const info = getSelectionInfo(selection);
 		
 		if (!info) {
-			if (Date.now() - lastPopupTime > 300) {
-				hidePopup();
-				clearHighlight();
-				currentWord = null;
+			if (settings.autoClose && Date.now() - lastPopupTime > 300) {
+				closePopup();
 			}
 			pendingSelectionInfo = null;
 			return;
@@ -386,12 +1690,23 @@ async function handleSelection() {
 			return;
 		}
 		
+		if (!shouldTrigger(info)) return;
+		
 		await showSelectionPopup(info);
 	} finally {
 		isProcessingSelection = false;
 	}
 }
 
+/**
+ * Checks whether a node is part of the popup.
+ * @param {Node | null | undefined} node
+ * @returns {boolean}
+ */
+function isInPopup(node) {
+	return Boolean(popupElement && node && popupElement.contains(node));
+}
+
 /**
  * Shows popup for the given selection info.
  * @param {{text: string, range: Range}} info
@@ -399,17 +1714,26 @@ async function handleSelection() {
 async function showSelectionPopup(info) {
 	currentWord = info.text;
 	lastPopupTime = Date.now();
-	const sentence = extractSentence(info.range);
+	const { text: sentence, range: sentenceRange } = findSentence(info.range);
 	
-	const hasAnchor = highlightRange(info.range.cloneRange());
+	const hasAnchor = highlightRange(sentenceRange, info.range.cloneRange());
 	
 	showPopup(info.text, sentence, null, hasAnchor);
 	
-	const definition = await fetchDefinition(info.text.toLowerCase());
+	const { definition, lemma, components, offline, uncached } = await fetchDefinition(info.text.toLowerCase());
+	// A cached "not found" is an answer even offline
+	const emptyMessage = offline && uncached
+		? 'Offline, and this word is not in the cache.'
+		: 'No definition found.';
+	const saved = await findSavedEntry(lemma || info.text.toLowerCase());
 	
 	if (popupElement) {
-		popupElement.innerHTML = createPopupContent(info.text, sentence, definition);
-		addPopupEventListeners(popupElement, info.text, sentence, definition);
+		const typedTags = popupElement.querySelector(`.${EXTENSION_ID}-tags-input`)?.value || '';
+		popupElement.innerHTML = createPopupContent(info.text, sentence, definition, { lemma, components, emptyMessage });
+		popupElement.querySelector(`.${EXTENSION_ID}-tags-input`).value = typedTags;
+		addPopupEventListeners(popupElement, info.text, sentence, definition, lemma, components);
+		renderSavedState(popupElement, saved, sentence);
+		loadTagSuggestions(popupElement);
 	}
 }
 
@@ -424,30 +1748,80 @@ function initialize() {
 	let selectionTimeout = null;
 	let popupTimeout = null;
 	
-	document.addEventListener('pointerdown', () => {
+	document.addEventListener('pointerdown', (event) => {
 		isPointerDown = true;
+		selectionShadowRoots = event.composedPath().filter(node => node instanceof ShadowRoot);
+		isModifierHeld = event.getModifierState(settings.modifierKey);
 		if (popupTimeout) clearTimeout(popupTimeout);
 	});
 	
-	document.addEventListener('pointerup', () => {
+	document.addEventListener('pointerup', (event) => {
 		isPointerDown = false;
+		isModifierHeld = isModifierHeld || event.getModifierState(settings.modifierKey);
 		
 		if (pendingSelectionInfo) {
 			const info = pendingSelectionInfo;
 			popupTimeout = setTimeout(() => {
 				if (pendingSelectionInfo === info) {
 					pendingSelectionInfo = null;
-					showSelectionPopup(info);
+					if (shouldTrigger(info)) {
+						showSelectionPopup(info);
+					}
 				}
 			}, 80);
 		}
 	});
 	
+	document.addEventListener('dblclick', () => {
+		lastDblClickTime = Date.now();
+		if (selectionTimeout) clearTimeout(selectionTimeout);
+		selectionTimeout = setTimeout(handleSelection, 50);
+	});
+	
 	document.addEventListener('selectionchange', () => {
 		if (selectionTimeout) clearTimeout(selectionTimeout);
 		selectionTimeout = setTimeout(handleSelection, 50);
 	});
 	
+	let hoverFrame = null;
+	document.addEventListener('pointermove', (event) => {
+		if (hoverFrame) return;
+		hoverFrame = requestAnimationFrame(() => {
+			hoverFrame = null;
+			handleSavedWordHover(event);
+		});
+	}, { passive: true });
+	
+	document.addEventListener('click', handleSavedWordClick);
+	
+	chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+		if (message.action === 'run-command') {
+			handleCommand(message.command);
+		} else if (message.action === 'get-selection-context') {
+			sendResponse(getSelectionContext());
+		} else if (message.action === 'close-popup' && message.except !== FRAME_TOKEN) {
+			if (popupElement) closePopup();
+		}
+	});
+	
+	chrome.storage.onChanged.addListener((changes, areaName) => {
+		if (areaName !== 'local') return;
+		
+		if (changes[SETTINGS_KEY]) {
+			loadSettings();
+		}
+		if (changes[ENTRIES_REVISION_KEY] && isMarkingActive) {
+			const { headwords } = changes[ENTRIES_REVISION_KEY].newValue || {};
+			if (headwords) {
+				updateSavedWords(headwords);
+			} else {
+				loadSavedWords();
+			}
+		}
+	});
+	
+	loadSettings();
+	
 	console.log(`${EXTENSION_ID}: content script loaded`);
 }
 